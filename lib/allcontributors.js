@@ -0,0 +1,152 @@
+// allcontributors.js - Parsing and validation of .all-contributorsrc files
+
+// Contribution types of the all-contributors specification (https://allcontributors.org/docs/en/emoji-key)
+const ALL_CONTRIBUTORS_TYPES = {
+  a11y: { emoji: '♿️', label: 'Accessibility' },
+  audio: { emoji: '🔊', label: 'Audio' },
+  blog: { emoji: '📝', label: 'Blogposts' },
+  bug: { emoji: '🐛', label: 'Bug reports' },
+  business: { emoji: '💼', label: 'Business development' },
+  code: { emoji: '💻', label: 'Code' },
+  content: { emoji: '🖋', label: 'Content' },
+  data: { emoji: '🔣', label: 'Data' },
+  design: { emoji: '🎨', label: 'Design' },
+  doc: { emoji: '📖', label: 'Documentation' },
+  eventOrganizing: { emoji: '📋', label: 'Event Organizing' },
+  example: { emoji: '💡', label: 'Examples' },
+  financial: { emoji: '💵', label: 'Financial' },
+  fundingFinding: { emoji: '🔍', label: 'Funding Finding' },
+  ideas: { emoji: '🤔', label: 'Ideas, Planning, & Feedback' },
+  infra: { emoji: '🚇', label: 'Infrastructure' },
+  maintenance: { emoji: '🚧', label: 'Maintenance' },
+  mentoring: { emoji: '🧑‍🏫', label: 'Mentoring' },
+  platform: { emoji: '📦', label: 'Packaging/porting' },
+  plugin: { emoji: '🔌', label: 'Plugin/utility libraries' },
+  projectManagement: { emoji: '📆', label: 'Project Management' },
+  promotion: { emoji: '📣', label: 'Promotion' },
+  question: { emoji: '💬', label: 'Answering Questions' },
+  research: { emoji: '🔬', label: 'Research' },
+  review: { emoji: '👀', label: 'Reviewed Pull Requests' },
+  security: { emoji: '🛡️', label: 'Security' },
+  talk: { emoji: '📢', label: 'Talks' },
+  test: { emoji: '⚠️', label: 'Tests' },
+  tool: { emoji: '🔧', label: 'Tools' },
+  translation: { emoji: '🌍', label: 'Translation' },
+  tutorial: { emoji: '✅', label: 'Tutorials' },
+  userTesting: { emoji: '📓', label: 'User Testing' },
+  video: { emoji: '📹', label: 'Videos' }
+};
+
+// Schema problems stop after this many, a broken file tends to repeat the same mistake
+const MAX_REPORTED_PROBLEMS = 20;
+
+// Raised for files that aren't valid JSON or don't follow the all-contributors schema.
+// `details` lists every problem as { path, message }.
+class AllContributorsConfigError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'AllContributorsConfigError';
+    this.statusCode = 422;
+    this.details = details;
+  }
+}
+
+function isHttpUrl(value, { secure = false } = {}) {
+  try {
+    const protocol = new URL(value).protocol;
+    return secure ? protocol === 'https:' : ['http:', 'https:'].includes(protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Helper function to validate one entry of the contributors array, pushing problems to `problems`
+function validateEntry(entry, index, problems) {
+  const at = field => `contributors[${index}]${field ? `.${field}` : ''}`;
+
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    problems.push({ path: at(), message: 'must be an object' });
+    return;
+  }
+
+  for (const field of ['login', 'name', 'avatar_url', 'profile']) {
+    if (entry[field] !== undefined && entry[field] !== null && typeof entry[field] !== 'string') {
+      problems.push({ path: at(field), message: 'must be a string' });
+    }
+  }
+
+  if (!entry.login && !entry.name) {
+    problems.push({ path: at(), message: 'needs a login or a name' });
+  }
+
+  // Avatars are downloaded by the service, so only accept HTTPS image URLs
+  if (typeof entry.avatar_url === 'string' && entry.avatar_url && !isHttpUrl(entry.avatar_url, { secure: true })) {
+    problems.push({ path: at('avatar_url'), message: 'must be an https:// URL' });
+  }
+
+  if (typeof entry.profile === 'string' && entry.profile && !isHttpUrl(entry.profile)) {
+    problems.push({ path: at('profile'), message: 'must be an http(s):// URL' });
+  }
+
+  if (!Array.isArray(entry.contributions)) {
+    problems.push({ path: at('contributions'), message: 'must be an array of contribution types' });
+    return;
+  }
+
+  entry.contributions.forEach((contribution, typeIndex) => {
+    // Types are plain strings, or { type, url } objects linking to the contribution
+    const type = typeof contribution === 'object' && contribution !== null ? contribution.type : contribution;
+
+    if (typeof type !== 'string' || !type) {
+      problems.push({ path: at(`contributions[${typeIndex}]`), message: 'must be a type name or a { type, url } object' });
+    }
+  });
+}
+
+// Parse the text of an .all-contributorsrc file.
+// Returns contributors in file order as { login, name, avatar_url, html_url, types }, where
+// `types` maps each contribution type to true. Throws AllContributorsConfigError when invalid.
+function parseAllContributorsConfig(text) {
+  let config;
+
+  try {
+    config = JSON.parse(text);
+  } catch (error) {
+    throw new AllContributorsConfigError('.all-contributorsrc is not valid JSON', [{ path: '', message: error.message }]);
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new AllContributorsConfigError('.all-contributorsrc must contain a JSON object', [{ path: '', message: 'must be an object' }]);
+  }
+
+  if (!Array.isArray(config.contributors)) {
+    throw new AllContributorsConfigError('.all-contributorsrc has no contributors list', [{ path: 'contributors', message: 'must be an array' }]);
+  }
+
+  const problems = [];
+  config.contributors.forEach((entry, index) => validateEntry(entry, index, problems));
+
+  if (problems.length > 0) {
+    throw new AllContributorsConfigError(
+      `.all-contributorsrc has ${problems.length} schema error${problems.length === 1 ? '' : 's'}`,
+      problems.slice(0, MAX_REPORTED_PROBLEMS)
+    );
+  }
+
+  return config.contributors.map(entry => ({
+    login: entry.login || null,
+    name: entry.name || null,
+    avatar_url: entry.avatar_url || null,
+    html_url: entry.profile || (entry.login ? `https://github.com/${entry.login}` : null),
+    types: Object.fromEntries(entry.contributions.map(contribution => [
+      typeof contribution === 'object' ? contribution.type : contribution,
+      true
+    ]))
+  }));
+}
+
+module.exports = {
+  ALL_CONTRIBUTORS_TYPES,
+  AllContributorsConfigError,
+  parseAllContributorsConfig
+};
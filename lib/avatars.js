@@ -0,0 +1,167 @@
+// avatars.js - Shared store of resized avatar thumbnails, embedded in badges as data URLs
+const crypto = require('crypto');
+const axios = require('axios');
+const sharp = require('sharp');
+
+// Thumbnail sizes are rounded up to a multiple of this, so nearby badge sizes share entries
+const SIZE_STEP = 16;
+const MAX_PIXELS = 256;
+
+// Avatar hosts that serve thumbnails themselves when asked for a size
+const SIZE_PARAMS = {
+  'avatars.githubusercontent.com': 's',
+  'secure.gravatar.com': 's',
+  'www.gravatar.com': 's'
+};
+
+// Hosts avatars are downloaded from on top of the configured providers' hosts. Avatar URLs can
+// come from repository files (.all-contributorsrc), so any other host gets the initial instead.
+const AVATAR_HOSTS = ['avatars.githubusercontent.com', 'secure.gravatar.com', 'www.gravatar.com', 'gravatar.com'];
+
+// Failed downloads are remembered briefly so a broken avatar isn't fetched for every badge
+const FAILURE_TTL = 5 * 60 * 1000;
+
+function sha1(value) {
+  return crypto.createHash('sha1').update(value).digest('hex');
+}
+
+// Helper function to pick the thumbnail size (in pixels) for avatars drawn `size` units wide.
+// Twice the size keeps them sharp on high-density screens and in 2x rasters.
+function avatarPixels(size) {
+  return Math.min(MAX_PIXELS, Math.ceil((size * 2) / SIZE_STEP) * SIZE_STEP);
+}
+
+// Helper function to ask the avatar host for a thumbnail where it supports one
+function thumbnailUrl(avatarUrl, pixels) {
+  try {
+    const url = new URL(avatarUrl);
+    const param = SIZE_PARAMS[url.hostname] || (url.pathname.startsWith('/avatars/u/') ? 's' : null); // GHES serves /avatars/u/:id
+
+    if (param) {
+      url.searchParams.set(param, pixels);
+    }
+    return url.href;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Avatar thumbnails keyed by URL and size. Thumbnails are stored once per content hash, so the
+// same picture (e.g. a contributor seen in many repositories, or a default avatar) is kept once.
+class AvatarStore {
+  constructor({ cache, ttl, hosts = [], concurrency = 8, timeout = 5000 }) {
+    this.cache = cache;
+    this.hosts = new Set([...AVATAR_HOSTS, ...hosts].map(host => host.toLowerCase()));
+    this.ttl = ttl;
+    this.concurrency = concurrency;
+    this.timeout = timeout;
+    this.active = 0;
+    this.queue = [];
+    this.pending = new Map();
+  }
+
+  // Whether an avatar URL points to a known avatar host
+  isAllowed(avatarUrl) {
+    try {
+      const url = new URL(avatarUrl);
+      return ['http:', 'https:'].includes(url.protocol) && this.hosts.has(url.host.toLowerCase());
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Data URL of the avatar at `pixels` size, or null when it can't be loaded (or isn't allowed)
+  async get(avatarUrl, pixels) {
+    if (!this.isAllowed(avatarUrl)) {
+      return null;
+    }
+
+    const key = `avatar:${sha1(avatarUrl)}@${pixels}`;
+    const entry = await this.cache.get(key);
+
+    if (entry && !entry.hash) {
+      return null;
+    }
+
+    if (entry) {
+      const dataUrl = await this.cache.get(`avatar-blob:${entry.hash}`);
+      if (dataUrl) {
+        return dataUrl;
+      }
+      // The thumbnail itself was evicted, download it again
+    }
+
+    // Concurrent badges asking for the same avatar share one download
+    if (!this.pending.has(key)) {
+      const load = this.withSlot(() => this.load(key, avatarUrl, pixels))
+        .finally(() => this.pending.delete(key));
+      this.pending.set(key, load);
+    }
+
+    return this.pending.get(key);
+  }
+
+  async load(key, avatarUrl, pixels) {
+    const url = thumbnailUrl(avatarUrl, pixels);
+
+    try {
+      if (!url) {
+        throw new Error('Invalid avatar URL');
+      }
+
+      const response = await axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: this.timeout,
+        maxContentLength: 5 * 1024 * 1024,
+        headers: {
+          'User-Agent': 'GitHub-Contributors-Badge-Service'
+        }
+      });
+
+      // Downscale locally too (not every host resizes) and re-encode, which also turns any
+      // source format into a plain raster image that is safe to embed
+      const thumbnail = await sharp(Buffer.from(response.data))
+        .resize(pixels, pixels, { fit: 'cover' })
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: 82 })
+        .toBuffer();
+
+      const dataUrl = `data:image/jpeg;base64,${thumbnail.toString('base64')}`;
+      const hash = sha1(thumbnail);
+
+      await this.cache.set(`avatar-blob:${hash}`, dataUrl, this.ttl);
+      await this.cache.set(key, { hash }, this.ttl);
+      return dataUrl;
+    } catch (error) {
+      console.warn('Failed to load avatar:', avatarUrl, error.message);
+      await this.cache.set(key, { hash: null }, Math.min(FAILURE_TTL, this.ttl));
+      return null;
+    }
+  }
+
+  // Run `task` once fewer than `concurrency` downloads are in flight
+  async withSlot(task) {
+    if (this.active < this.concurrency) {
+      this.active++;
+    } else {
+      // Finishing downloads hand their slot straight to the next one waiting
+      await new Promise(resolve => this.queue.push(resolve));
+    }
+
+    try {
+      return await task();
+    } finally {
+      const next = this.queue.shift();
+      if (next) {
+        next();
+      } else {
+        this.active--;
+      }
+    }
+  }
+}
+
+module.exports = {
+  AvatarStore,
+  avatarPixels
+};
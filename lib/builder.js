@@ -0,0 +1,371 @@
+// builder.js - Interactive badge builder page. The form is generated in the browser from the
+// /badge/options schema, so every option the route accepts shows up here without extra work.
+
+const builderHTML = `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <title>Badge Builder - GitHub Contributors Badge Service</title>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <style>
+          body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            max-width: 900px;
+            margin: 0 auto;
+            padding: 20px;
+            line-height: 1.6;
+            color: #24292e;
+          }
+          h1 { color: #0366d6; margin-bottom: 0; }
+          h2 { color: #586069; border-bottom: 1px solid #e1e4e8; padding-bottom: 8px; }
+          fieldset {
+            border: 1px solid #e1e4e8;
+            border-radius: 6px;
+            margin: 15px 0;
+            padding: 10px 15px;
+            display: grid;
+            grid-template-columns: repeat(auto-fill, minmax(250px, 1fr));
+            gap: 10px 20px;
+          }
+          legend { font-weight: 600; padding: 0 6px; }
+          label { display: block; font-size: 0.9em; }
+          label span { display: block; font-weight: 600; }
+          label small { display: block; color: #586069; }
+          input[type="text"], input[type="number"], select {
+            width: 100%;
+            box-sizing: border-box;
+            padding: 5px 8px;
+            border: 1px solid #d1d5da;
+            border-radius: 6px;
+            font-size: 0.95em;
+          }
+          input.invalid { border-color: #d73a49; background: #ffeef0; }
+          .choices label { display: inline-block; margin-right: 10px; font-weight: normal; }
+          .preview {
+            text-align: center;
+            margin: 20px 0;
+            padding: 20px;
+            background: #f6f8fa;
+            border: 1px solid #e1e4e8;
+            border-radius: 6px;
+            overflow-x: auto;
+          }
+          .preview img { max-width: 100%; }
+          .error { color: #d73a49; }
+          .hint { color: #586069; }
+          .snippet { margin: 15px 0; }
+          .snippet h3 { display: flex; justify-content: space-between; align-items: center; margin: 0 0 5px; font-size: 1em; }
+          textarea {
+            width: 100%;
+            box-sizing: border-box;
+            font-family: 'Monaco', 'Menlo', monospace;
+            font-size: 0.85em;
+            padding: 8px;
+            border: 1px solid #e1e4e8;
+            border-radius: 6px;
+            background: #f6f8fa;
+            resize: vertical;
+          }
+          button {
+            padding: 3px 12px;
+            border: 1px solid #d1d5da;
+            border-radius: 6px;
+            background: #fafbfc;
+            cursor: pointer;
+          }
+        </style>
+      </head>
+      <body>
+        <h1>🛠️ Badge Builder</h1>
+        <p>Pick a repository and options, then copy the snippet for your README. <a href="/">Documentation</a></p>
+
+        <form id="options" autocomplete="off"></form>
+
+        <h2>Preview</h2>
+        <div class="preview">
+          <img id="preview" alt="Badge preview" hidden/>
+          <p id="preview-message" class="hint">Enter a repository to see its badge.</p>
+        </div>
+
+        <h2>Embed code</h2>
+        <div id="snippets"></div>
+
+        <script>
+          const GROUPS = {
+            repository: 'Repository',
+            layout: 'Layout',
+            colors: 'Colors',
+            contributors: 'Contributors',
+            output: 'Output'
+          };
+          const SNIPPETS = {
+            markdown: 'Markdown',
+            html: 'HTML',
+            rst: 'reStructuredText',
+            asciidoc: 'AsciiDoc'
+          };
+
+          const form = document.getElementById('options');
+          const preview = document.getElementById('preview');
+          const message = document.getElementById('preview-message');
+          const snippets = document.getElementById('snippets');
+          const initial = new URLSearchParams(location.search);
+          let schema = null;
+          let timer = null;
+
+          function element(tag, attributes, children) {
+            const node = document.createElement(tag);
+            Object.keys(attributes || {}).forEach(function (name) {
+              if (attributes[name] !== undefined && attributes[name] !== null) {
+                node.setAttribute(name, attributes[name]);
+              }
+            });
+            (children || []).forEach(function (child) {
+              node.append(child);
+            });
+            return node;
+          }
+
+          // Values of a list option that only takes known values (e.g. types), or null
+          function listChoices(property) {
+            const list = property.type === 'array' ? property : (property.anyOf || []).find(function (option) {
+              return option.type === 'array';
+            });
+            return list && list.items.enum ? list.items.enum : null;
+          }
+
+          function defaultText(property) {
+            return property.default === undefined ? '' : String(property.default);
+          }
+
+          // One control per option: selects for enums, checkboxes for flags and enum lists,
+          // text/number inputs for everything else
+          function control(name, property) {
+            const value = initial.get(name);
+
+            if (property.enum) {
+              const options = [element('option', { value: '' }, [property.default === undefined ? 'any' : 'default (' + property.default + ')'])];
+              property.enum.forEach(function (option) {
+                options.push(element('option', { value: option }, [option]));
+              });
+              const select = element('select', { name: name }, options);
+              select.value = property.enum.indexOf(value) === -1 ? '' : value;
+              return select;
+            }
+
+            if (property.type === 'boolean') {
+              const checkbox = element('input', { type: 'checkbox', name: name, 'data-default': String(property.default) });
+              checkbox.checked = value === null ? property.default : value === 'true';
+              return checkbox;
+            }
+
+            if (listChoices(property)) {
+              const selected = (value || '').split(',');
+              return element('div', { class: 'choices', 'data-name': name }, listChoices(property).map(function (option) {
+                const checkbox = element('input', { type: 'checkbox', value: option });
+                checkbox.checked = selected.indexOf(option) !== -1;
+                return element('label', {}, [checkbox, ' ' + option]);
+              }));
+            }
+
+            const numeric = property.type === 'integer' || property.type === 'number';
+            const input = element('input', {
+              type: numeric ? 'number' : 'text',
+              name: name,
+              min: property.minimum,
+              max: property.maximum,
+              step: property.type === 'number' ? 'any' : numeric ? 1 : null,
+              placeholder: property.type === 'array' ? 'comma-separated' : property.examples ? property.examples[0] : defaultText(property)
+            });
+            input.value = value || '';
+            return input;
+          }
+
+          function renderForm() {
+            const fieldsets = {};
+
+            Object.keys(GROUPS).forEach(function (group) {
+              fieldsets[group] = element('fieldset', {}, [element('legend', {}, [GROUPS[group]])]);
+              form.append(fieldsets[group]);
+            });
+
+            Object.keys(schema.properties).forEach(function (name) {
+              const property = schema.properties[name];
+              const label = element('label', {}, [
+                element('span', {}, [name + (schema.required.indexOf(name) === -1 ? '' : ' *')]),
+                control(name, property),
+                element('small', {}, [property.description])
+              ]);
+              fieldsets[property['x-group']].append(label);
+            });
+          }
+
+          // Loose client-side check so typos are flagged before the server rejects them
+          function isValid(property, value) {
+            if (property.pattern && !new RegExp(property.pattern).test(value)) {
+              return false;
+            }
+
+            const number = property.anyOf ? property.anyOf[0] : property;
+            if (number.type === 'integer' || number.type === 'number') {
+              const isConst = property.anyOf && property.anyOf.some(function (option) { return option.const === value; });
+              const parsed = Number(value);
+              return isConst || (value.trim() !== '' && !isNaN(parsed) && parsed >= number.minimum && parsed <= number.maximum &&
+                (number.type === 'number' || Number.isInteger(parsed)));
+            }
+
+            return true;
+          }
+
+          // Query parameters that differ from the defaults, in schema order
+          function readParams() {
+            const params = [];
+            let valid = true;
+
+            Object.keys(schema.properties).forEach(function (name) {
+              const property = schema.properties[name];
+              let value = '';
+
+              if (listChoices(property)) {
+                const checked = form.querySelectorAll('[data-name="' + name + '"] input:checked');
+                value = Array.prototype.map.call(checked, function (checkbox) { return checkbox.value; }).join(',');
+              } else if (property.type === 'boolean') {
+                const checkbox = form.elements[name];
+                value = checkbox.checked === property.default ? '' : String(checkbox.checked);
+              } else {
+                const input = form.elements[name];
+                value = input.value.trim();
+
+                if (input.tagName === 'INPUT') {
+                  const ok = value === '' || isValid(property, value);
+                  input.classList.toggle('invalid', !ok);
+                  valid = valid && ok;
+                }
+
+                if (property.type === 'array') {
+                  value = value.split(',').map(function (item) { return item.trim(); }).filter(Boolean).join(',');
+                }
+              }
+
+              if (value !== '' && value !== defaultText(property)) {
+                params.push([name, value]);
+              }
+            });
+
+            return { params: params, valid: valid };
+          }
+
+          // Like URLSearchParams, but keeps "/" and "," readable in the badge URL
+          function queryString(params) {
+            return params.map(function (param) {
+              return param[0] + '=' + encodeURIComponent(param[1]).replace(/%2F/g, '/').replace(/%2C/g, ',');
+            }).join('&');
+          }
+
+          function repositoryUrl(params, repo) {
+            const values = Object.fromEntries(params);
+            const providers = schema['x-providers'];
+            const provider = providers.find(function (candidate) {
+              return (!values.provider || candidate.provider === values.provider) && (!values.host || candidate.host === values.host);
+            }) || providers[0];
+            return provider.url + '/' + repo;
+          }
+
+          function escapeHtml(value) {
+            return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+          }
+
+          function renderSnippets(badgeUrl, linkUrl) {
+            const code = {
+              markdown: '[![Contributors](' + badgeUrl + ')](' + linkUrl + ')',
+              html: '<a href="' + escapeHtml(linkUrl) + '"><img src="' + escapeHtml(badgeUrl) + '" alt="Contributors"/></a>',
+              rst: '.. image:: ' + badgeUrl + '\\n   :target: ' + linkUrl + '\\n   :alt: Contributors',
+              asciidoc: 'image:' + badgeUrl + '[Contributors,link="' + linkUrl + '"]'
+            };
+
+            snippets.replaceChildren.apply(snippets, Object.keys(SNIPPETS).map(function (kind) {
+              const textarea = element('textarea', { readonly: '', rows: kind === 'rst' ? 3 : 2 });
+              textarea.value = code[kind];
+              const button = element('button', { type: 'button' }, ['Copy']);
+              button.addEventListener('click', function () {
+                navigator.clipboard.writeText(textarea.value).then(function () {
+                  button.textContent = 'Copied';
+                  setTimeout(function () { button.textContent = 'Copy'; }, 1500);
+                });
+              });
+              return element('div', { class: 'snippet' }, [element('h3', {}, [SNIPPETS[kind], button]), textarea]);
+            }));
+          }
+
+          function update() {
+            const result = readParams();
+            const repo = form.elements.repo.value.trim();
+
+            if (!repo || !result.valid) {
+              preview.hidden = true;
+              message.className = 'hint';
+              message.textContent = repo ? 'Fix the highlighted options to update the preview.' : 'Enter a repository to see its badge.';
+              message.hidden = false;
+              snippets.replaceChildren();
+              return;
+            }
+
+            const badgeUrl = location.origin + '/badge?' + queryString(result.params);
+            renderSnippets(badgeUrl, repositoryUrl(result.params, repo));
+            history.replaceState(null, '', '?' + queryString(result.params));
+
+            message.className = 'hint';
+            message.textContent = 'Loading…';
+            message.hidden = false;
+            preview.src = badgeUrl;
+          }
+
+          preview.addEventListener('load', function () {
+            preview.hidden = false;
+            message.hidden = true;
+          });
+
+          // Images don't expose the response, fetch it again to show the server's error message
+          preview.addEventListener('error', function () {
+            const url = preview.src;
+            preview.hidden = true;
+            fetch(url).then(function (response) {
+              return response.json();
+            }).then(function (body) {
+              if (preview.src === url) {
+                message.className = 'error';
+                message.textContent = body.errors ? body.errors.map(function (error) { return error.message; }).join('. ') : body.error || 'The badge could not be generated.';
+              }
+            }).catch(function () {
+              message.className = 'error';
+              message.textContent = 'The badge could not be generated.';
+            });
+          });
+
+          form.addEventListener('input', function () {
+            clearTimeout(timer);
+            timer = setTimeout(update, 400);
+          });
+          form.addEventListener('submit', function (event) {
+            event.preventDefault();
+          });
+
+          fetch('/badge/options').then(function (response) {
+            return response.json();
+          }).then(function (result) {
+            schema = result;
+            renderForm();
+            update();
+          }).catch(function () {
+            message.className = 'error';
+            message.textContent = 'Could not load the badge options.';
+          });
+        </script>
+      </body>
+    </html>
+  `;
+
+module.exports = {
+  builderHTML
+};
@@ -0,0 +1,404 @@
+// cache.js - Pluggable cache backends (in-memory LRU, filesystem, Redis protocol)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Buffers (raster badges) don't survive a JSON round trip, so encode them as base64
+function serialize(value) {
+  return JSON.stringify(value, function (key, val) {
+    return Buffer.isBuffer(this[key]) ? { __buffer: this[key].toString('base64') } : val;
+  });
+}
+
+function deserialize(text) {
+  return JSON.parse(text, (key, val) => (
+    val && typeof val.__buffer === 'string' ? Buffer.from(val.__buffer, 'base64') : val
+  ));
+}
+
+// Helper function to estimate how much memory a cached value holds
+function estimateSize(value) {
+  if (Buffer.isBuffer(value)) {
+    return value.length;
+  }
+  if (value && Buffer.isBuffer(value.data)) {
+    return value.data.length;
+  }
+  return Buffer.byteLength(serialize(value) || '');
+}
+
+// In-process LRU cache bounded by entry count and approximate byte size
+class MemoryCache {
+  constructor({ maxEntries = 1000, maxBytes = 64 * 1024 * 1024 } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.entries = new Map();
+    this.bytes = 0;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this._remove(key);
+      return null;
+    }
+
+    // Re-insert to mark the entry as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttl) {
+    this._remove(key);
+
+    const size = estimateSize(value);
+    if (size > this.maxBytes) {
+      return;
+    }
+
+    this.entries.set(key, { value, size, expiresAt: Date.now() + ttl });
+    this.bytes += size;
+
+    // Map iteration order is insertion order, so the first key is the least recently used
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      this._remove(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    return this._remove(key);
+  }
+
+  async keys() {
+    return Array.from(this.entries.keys());
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+
+  async clear() {
+    const cleared = this.entries.size;
+    this.entries.clear();
+    this.bytes = 0;
+    return cleared;
+  }
+
+  _remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return false;
+    }
+
+    this.bytes -= entry.size;
+    this.entries.delete(key);
+    return true;
+  }
+}
+
+// Filesystem cache - one JSON file per key, survives restarts on the same machine.
+// Bounded like MemoryCache: an in-memory index of the entries (built from the directory on first
+// use) tracks their sizes and least recently used order, and a periodic sweep drops expired files.
+class FileCache {
+  constructor({
+    dir = path.join(os.tmpdir(), 'github-contributors-badge-cache'),
+    maxEntries = 10000,
+    maxBytes = 512 * 1024 * 1024,
+    sweepInterval = 10 * 60 * 1000
+  } = {}) {
+    this.name = 'filesystem';
+    this.dir = dir;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.entries = null; // key -> { file, size, expiresAt }, least recently used first
+    this.loading = null;
+    this.bytes = 0;
+    this.writes = 0;
+    fs.mkdirSync(dir, { recursive: true });
+
+    if (sweepInterval > 0) {
+      this.sweeper = setInterval(() => {
+        this.sweep().catch(error => console.warn('Cache sweep failed (filesystem):', error.message));
+      }, sweepInterval);
+      // Don't keep the process alive just to sweep
+      this.sweeper.unref();
+    }
+  }
+
+  _file(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  async _read(file) {
+    try {
+      const entry = deserialize(await fs.promises.readFile(file, 'utf8'));
+
+      if (entry.expiresAt <= Date.now()) {
+        await fs.promises.rm(file, { force: true });
+        return null;
+      }
+
+      return entry;
+    } catch (error) {
+      // Missing or half-written files are treated as cache misses
+      return null;
+    }
+  }
+
+  async _files(extension = '.json') {
+    const names = await fs.promises.readdir(this.dir);
+    return names.filter(name => name.endsWith(extension)).map(name => path.join(this.dir, name));
+  }
+
+  // The index, read from the directory once (entries left by an earlier run count towards the limits)
+  async _index() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        const entries = new Map();
+        this.bytes = 0;
+
+        for (const file of await this._files()) {
+          const [entry, stat] = await Promise.all([this._read(file), fs.promises.stat(file).catch(() => null)]);
+          if (entry && stat && this._file(entry.key) === file) {
+            entries.set(entry.key, { file, size: stat.size, expiresAt: entry.expiresAt });
+            this.bytes += stat.size;
+          }
+        }
+
+        this.entries = entries;
+      })().catch(error => {
+        this.loading = null;
+        throw error;
+      });
+    }
+
+    await this.loading;
+    return this.entries;
+  }
+
+  async get(key) {
+    const entries = await this._index();
+    const entry = await this._read(this._file(key));
+
+    if (!entry || entry.key !== key) {
+      this._forget(key);
+      return null;
+    }
+
+    // Re-insert to mark the entry as most recently used
+    const indexed = entries.get(key);
+    if (indexed) {
+      entries.delete(key);
+      entries.set(key, indexed);
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttl) {
+    const entries = await this._index();
+    const file = this._file(key);
+    // Unique per process and write, so concurrent writes of the same key don't share a temp file
+    const tmpFile = `${file}.${process.pid}.${++this.writes}.tmp`;
+    const expiresAt = Date.now() + ttl;
+    const text = serialize({ key, value, expiresAt });
+    const size = Buffer.byteLength(text);
+
+    if (size > this.maxBytes) {
+      return;
+    }
+
+    // Write then rename so concurrent readers never see a partial entry
+    await fs.promises.writeFile(tmpFile, text);
+    await fs.promises.rename(tmpFile, file);
+
+    this._forget(key);
+    entries.set(key, { file, size, expiresAt });
+    this.bytes += size;
+
+    // Map iteration order is insertion order, so the first key is the least recently used
+    while (entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      await this._remove(entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    await this._index();
+    const file = this._file(key);
+    const exists = fs.existsSync(file);
+    this._forget(key);
+    await fs.promises.rm(file, { force: true });
+    return exists;
+  }
+
+  async keys() {
+    await this.sweep();
+    return Array.from(this.entries.keys());
+  }
+
+  async size() {
+    await this.sweep();
+    return this.entries.size;
+  }
+
+  async clear() {
+    await this._index();
+    const files = await this._files();
+    await Promise.all(files.map(file => fs.promises.rm(file, { force: true })));
+    this.entries.clear();
+    this.bytes = 0;
+    return files.length;
+  }
+
+  // Delete expired entries, and temp files left behind by writes that never finished
+  async sweep() {
+    const entries = await this._index();
+    const now = Date.now();
+
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) {
+        await this._remove(key);
+      }
+    }
+
+    for (const file of await this._files('.tmp')) {
+      const stat = await fs.promises.stat(file).catch(() => null);
+      if (stat && now - stat.mtimeMs > 60 * 60 * 1000) {
+        await fs.promises.rm(file, { force: true });
+      }
+    }
+  }
+
+  _forget(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.bytes -= entry.size;
+      this.entries.delete(key);
+    }
+  }
+
+  async _remove(key) {
+    const entry = this.entries.get(key);
+    this._forget(key);
+    if (entry) {
+      await fs.promises.rm(entry.file, { force: true });
+    }
+  }
+}
+
+// Redis-protocol cache - shared between instances (Redis, Valkey, KeyDB, Upstash...)
+class RedisCache {
+  constructor({ url, prefix = 'gcb:' } = {}) {
+    const Redis = require('ioredis');
+
+    this.name = 'redis';
+    this.prefix = prefix;
+    this.client = new Redis(url, { maxRetriesPerRequest: 2 });
+    this.client.on('error', error => console.warn('Redis cache error:', error.message));
+  }
+
+  async _scan() {
+    const keys = [];
+    let cursor = '0';
+
+    do {
+      const [next, batch] = await this.client.scan(cursor, 'MATCH', `${this.prefix}*`, 'COUNT', 500);
+      keys.push(...batch);
+      cursor = next;
+    } while (cursor !== '0');
+
+    return keys;
+  }
+
+  async get(key) {
+    const text = await this.client.get(this.prefix + key);
+    return text === null ? null : deserialize(text);
+  }
+
+  async set(key, value, ttl) {
+    await this.client.set(this.prefix + key, serialize(value), 'PX', Math.max(1, Math.round(ttl)));
+  }
+
+  async delete(key) {
+    return (await this.client.del(this.prefix + key)) > 0;
+  }
+
+  async keys() {
+    return (await this._scan()).map(key => key.slice(this.prefix.length));
+  }
+
+  async size() {
+    return (await this._scan()).length;
+  }
+
+  async clear() {
+    const keys = await this._scan();
+    for (let i = 0; i < keys.length; i += 500) {
+      await this.client.del(...keys.slice(i, i + 500));
+    }
+    return keys.length;
+  }
+}
+
+// Wrap a backend so an unreachable cache degrades to misses instead of failing badges
+function resilient(backend) {
+  const wrap = (method, fallback) => async (...args) => {
+    try {
+      return await backend[method](...args);
+    } catch (error) {
+      console.warn(`Cache ${method} failed (${backend.name}):`, error.message);
+      return fallback;
+    }
+  };
+
+  return {
+    name: backend.name,
+    get: wrap('get', null),
+    set: wrap('set', undefined),
+    delete: wrap('delete', false),
+    keys: wrap('keys', []),
+    size: wrap('size', 0),
+    clear: wrap('clear', 0)
+  };
+}
+
+// Create the cache selected by CACHE_BACKEND (memory | filesystem | redis)
+function createCache(env = process.env) {
+  const backend = (env.CACHE_BACKEND || 'memory').toLowerCase();
+
+  switch (backend) {
+    case 'memory':
+      return resilient(new MemoryCache({
+        maxEntries: parseInt(env.CACHE_MAX_ENTRIES) || undefined,
+        maxBytes: parseInt(env.CACHE_MAX_BYTES) || undefined
+      }));
+    case 'fs':
+    case 'filesystem':
+      return resilient(new FileCache({
+        dir: env.CACHE_DIR || undefined,
+        maxEntries: parseInt(env.CACHE_MAX_ENTRIES) || undefined,
+        maxBytes: parseInt(env.CACHE_MAX_BYTES) || undefined
+      }));
+    case 'redis':
+      if (!env.REDIS_URL) {
+        throw new Error('REDIS_URL is required when CACHE_BACKEND=redis');
+      }
+      return resilient(new RedisCache({ url: env.REDIS_URL, prefix: env.CACHE_PREFIX || undefined }));
+    default:
+      throw new Error(`Unknown CACHE_BACKEND "${backend}" (expected memory, filesystem or redis)`);
+  }
+}
+
+module.exports = {
+  MemoryCache,
+  FileCache,
+  RedisCache,
+  createCache
+};
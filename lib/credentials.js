@@ -0,0 +1,240 @@
+// credentials.js - GitHub credential pool (personal access tokens and GitHub App installations)
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+const { GitHubError } = require('./github');
+
+const DEFAULT_RATE_LIMIT = 5000;
+// Installation tokens live for an hour; refresh them a bit before GitHub expires them
+const INSTALLATION_TOKEN_REFRESH_MARGIN = 5 * 60 * 1000;
+
+// Quota bookkeeping shared by every credential type
+class Credential {
+  constructor(id, type, scheme = 'token') {
+    this.id = id;
+    this.type = type;
+    this.scheme = scheme; // Authorization scheme, GitLab only accepts "Bearer"
+    this.rateLimit = { limit: DEFAULT_RATE_LIMIT, remaining: null, reset: null, used: null };
+  }
+
+  // Remaining requests we can expect to make with this credential right now
+  availableQuota() {
+    const { limit, remaining, reset } = this.rateLimit;
+
+    if (remaining === null || (reset && reset * 1000 <= Date.now())) {
+      return limit;
+    }
+
+    return remaining;
+  }
+
+  updateRateLimit(headers = {}) {
+    if (headers['x-ratelimit-remaining'] === undefined) {
+      return;
+    }
+
+    this.rateLimit = {
+      limit: parseInt(headers['x-ratelimit-limit']) || this.rateLimit.limit,
+      remaining: parseInt(headers['x-ratelimit-remaining']),
+      reset: parseInt(headers['x-ratelimit-reset']) || null,
+      used: parseInt(headers['x-ratelimit-used']) || null
+    };
+  }
+
+  report() {
+    const { limit, remaining, reset, used } = this.rateLimit;
+    return {
+      id: this.id,
+      type: this.type,
+      limit,
+      remaining,
+      used,
+      reset: reset ? new Date(reset * 1000).toISOString() : null
+    };
+  }
+}
+
+// Personal access token (or any static token)
+class TokenCredential extends Credential {
+  constructor(id, token, scheme) {
+    super(id, 'token', scheme);
+    this.token = token;
+  }
+
+  async getToken() {
+    return this.token;
+  }
+}
+
+// GitHub App installation - exchanges a signed JWT for short-lived installation tokens
+class AppInstallationCredential extends Credential {
+  constructor({ appId, privateKey, installationId, apiBase }) {
+    super(`app-${appId}/installation-${installationId}`, 'app');
+    this.appId = appId;
+    this.privateKey = privateKey;
+    this.installationId = installationId;
+    this.apiBase = apiBase;
+    this.token = null;
+    this.expiresAt = 0;
+    this.pendingRefresh = null;
+  }
+
+  // App JWTs are RS256-signed and may be valid for at most 10 minutes
+  createJWT() {
+    const now = Math.floor(Date.now() / 1000);
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode({
+      iat: now - 60, // Allow for clock drift between us and GitHub
+      exp: now + 9 * 60,
+      iss: this.appId
+    })}`;
+    const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(this.privateKey, 'base64url');
+    return `${unsigned}.${signature}`;
+  }
+
+  async refreshToken() {
+    const response = await axios.post(
+      `${this.apiBase}/app/installations/${this.installationId}/access_tokens`,
+      {},
+      {
+        headers: {
+          'User-Agent': 'GitHub-Contributors-Badge-Service',
+          'Accept': 'application/vnd.github+json',
+          'Authorization': `Bearer ${this.createJWT()}`
+        },
+        timeout: 10000
+      }
+    );
+
+    this.token = response.data.token;
+    this.expiresAt = new Date(response.data.expires_at).getTime();
+    return this.token;
+  }
+
+  async getToken() {
+    if (this.token && this.expiresAt - INSTALLATION_TOKEN_REFRESH_MARGIN > Date.now()) {
+      return this.token;
+    }
+
+    if (!this.pendingRefresh) {
+      this.pendingRefresh = this.refreshToken().finally(() => {
+        this.pendingRefresh = null;
+      });
+    }
+
+    return this.pendingRefresh;
+  }
+
+  report() {
+    return {
+      ...super.report(),
+      token_expires_at: this.expiresAt ? new Date(this.expiresAt).toISOString() : null
+    };
+  }
+}
+
+// Pool of credentials - every request uses the one with the most remaining quota
+class CredentialPool {
+  constructor(credentials = []) {
+    this.credentials = credentials;
+  }
+
+  get size() {
+    return this.credentials.length;
+  }
+
+  // Pick the credential with the most remaining quota, skipping any in `exclude`
+  pick(exclude = []) {
+    let best = null;
+
+    for (const credential of this.credentials) {
+      if (exclude.includes(credential)) {
+        continue;
+      }
+      if (!best || credential.availableQuota() > best.availableQuota()) {
+        best = credential;
+      }
+    }
+
+    return best;
+  }
+
+  // Resolve the Authorization header for a request; unauthenticated when the pool is empty
+  async acquire(exclude = []) {
+    const credential = this.pick(exclude);
+
+    if (!credential) {
+      return { credential: null, headers: {} };
+    }
+
+    // Installation tokens are refreshed here, a failed refresh is reported like a failed API request
+    let token;
+    try {
+      token = await credential.getToken();
+    } catch (error) {
+      const status = error.response?.status || null;
+      console.error(`Refreshing the token of ${credential.id} failed:`, status || error.code || error.message);
+      throw new GitHubError('GitHub App authentication failed', { status, statusCode: 502 });
+    }
+
+    return { credential, headers: { 'Authorization': `${credential.scheme} ${token}` } };
+  }
+
+  update(credential, headers) {
+    if (credential) {
+      credential.updateRateLimit(headers);
+    }
+  }
+
+  report() {
+    return this.credentials.map(credential => credential.report());
+  }
+}
+
+// Helper function to split comma/whitespace separated environment lists
+function parseList(value) {
+  return (value || '').split(/[\s,]+/).filter(Boolean);
+}
+
+// Helper function to load the App private key (inline PEM with escaped newlines, or a file path)
+function loadPrivateKey(env) {
+  if (env.GITHUB_APP_PRIVATE_KEY) {
+    return env.GITHUB_APP_PRIVATE_KEY.replace(/\\n/g, '\n');
+  }
+  if (env.GITHUB_APP_PRIVATE_KEY_PATH) {
+    return fs.readFileSync(env.GITHUB_APP_PRIVATE_KEY_PATH, 'utf8');
+  }
+  return null;
+}
+
+// Create the credential pool from GITHUB_TOKEN, GITHUB_TOKENS and GITHUB_APP_* variables
+function createCredentialPool(env = process.env, { apiBase = 'https://api.github.com' } = {}) {
+  const credentials = [];
+  const tokens = [...new Set([...parseList(env.GITHUB_TOKEN), ...parseList(env.GITHUB_TOKENS)])];
+
+  tokens.forEach((token, index) => {
+    credentials.push(new TokenCredential(`token-${index + 1}`, token));
+  });
+
+  if (env.GITHUB_APP_ID) {
+    const privateKey = loadPrivateKey(env);
+    const installationIds = parseList(env.GITHUB_APP_INSTALLATION_ID);
+
+    if (!privateKey || installationIds.length === 0) {
+      throw new Error('GITHUB_APP_ID requires GITHUB_APP_PRIVATE_KEY (or _PATH) and GITHUB_APP_INSTALLATION_ID');
+    }
+
+    installationIds.forEach(installationId => {
+      credentials.push(new AppInstallationCredential({ appId: env.GITHUB_APP_ID, privateKey, installationId, apiBase }));
+    });
+  }
+
+  return new CredentialPool(credentials);
+}
+
+module.exports = {
+  TokenCredential,
+  AppInstallationCredential,
+  CredentialPool,
+  createCredentialPool
+};
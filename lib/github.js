@@ -0,0 +1,263 @@
+// github.js - Shared GitHub REST client (auth rotation, conditional requests, retries, typed errors)
+const axios = require('axios');
+
+const USER_AGENT = 'GitHub-Contributors-Badge-Service';
+
+// Base class for every error raised by the client; `statusCode` is what our routes respond with
+class GitHubError extends Error {
+  constructor(message, { status = null, statusCode = 500, retryable = false } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.statusCode = statusCode;
+    this.retryable = retryable;
+  }
+}
+
+class NotFoundError extends GitHubError {
+  constructor(message = 'Repository not found') {
+    super(message, { status: 404, statusCode: 404 });
+  }
+}
+
+class AuthenticationError extends GitHubError {
+  constructor(message = 'GitHub authentication failed') {
+    super(message, { status: 401, statusCode: 401 });
+  }
+}
+
+// 403 that is about permissions (private repo, blocked resource), not quota
+class AccessDeniedError extends GitHubError {
+  constructor(message = 'Access to repository denied') {
+    super(message, { status: 403, statusCode: 403 });
+  }
+}
+
+// Primary (hourly quota) or secondary (abuse/concurrency) rate limit
+class RateLimitError extends GitHubError {
+  constructor({ status = 403, kind = 'primary', retryAfter = null, reset = null } = {}) {
+    super('API rate limit exceeded', { status, statusCode: 429, retryable: kind === 'secondary' });
+    this.kind = kind;
+    this.retryAfter = retryAfter; // seconds
+    this.reset = reset; // epoch seconds
+  }
+
+  // Seconds until a client may try again
+  get retryAfterSeconds() {
+    if (this.retryAfter !== null) {
+      return this.retryAfter;
+    }
+    if (this.reset) {
+      return Math.max(0, this.reset - Math.floor(Date.now() / 1000));
+    }
+    return 60;
+  }
+}
+
+// 403 GitHub returns when "the history or contributor list is too large" to list via the API
+class HistoryTooLargeError extends GitHubError {
+  constructor(message = 'Contributor list is too large for the GitHub API') {
+    super(message, { status: 403, statusCode: 422 });
+  }
+}
+
+// 202 Accepted - GitHub is still computing the data and wants us to come back later
+class ComputingError extends GitHubError {
+  constructor(message = 'GitHub is still computing this data, try again shortly') {
+    super(message, { status: 202, statusCode: 503, retryable: true });
+  }
+}
+
+// 5xx, timeouts and network failures
+class UpstreamError extends GitHubError {
+  constructor(message = 'GitHub API unavailable', status = null) {
+    super(message, { status, statusCode: 502, retryable: true });
+  }
+}
+
+// Helper function to turn an axios failure into one of the typed errors above
+function toGitHubError(error) {
+  if (error instanceof GitHubError) {
+    return error;
+  }
+
+  const response = error.response;
+  if (!response) {
+    return new UpstreamError(`GitHub API unavailable (${error.code || error.message})`);
+  }
+
+  const headers = response.headers || {};
+  const message = String(response.data?.message || '');
+  const retryAfter = headers['retry-after'] !== undefined ? parseInt(headers['retry-after']) : null;
+
+  if (response.status === 403 && /too large/i.test(message)) {
+    return new HistoryTooLargeError();
+  }
+
+  if (response.status === 403 || response.status === 429) {
+    if (headers['x-ratelimit-remaining'] === '0') {
+      return new RateLimitError({ status: response.status, kind: 'primary', reset: parseInt(headers['x-ratelimit-reset']) || null });
+    }
+    if (retryAfter !== null || /secondary rate limit|abuse/i.test(message) || response.status === 429) {
+      return new RateLimitError({ status: response.status, kind: 'secondary', retryAfter });
+    }
+    return new AccessDeniedError();
+  }
+
+  if (response.status === 404) {
+    return new NotFoundError();
+  }
+  if (response.status === 401) {
+    return new AuthenticationError();
+  }
+  if (response.status >= 500) {
+    return new UpstreamError(`GitHub API error ${response.status}`, response.status);
+  }
+
+  return new GitHubError(message || `GitHub API error ${response.status}`, { status: response.status });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class GitHubClient {
+  // `scope` partitions stored validators, so clients with different credentials never share responses.
+  // `perPageParam` lets the client page through GitHub-like APIs (Gitea calls it "limit").
+  constructor({ apiBase, credentials, cache, validatorTtl, maxRetries = 3, maxRetryDelay = 10000, scope = '', perPageParam = 'per_page' }) {
+    this.apiBase = apiBase;
+    this.credentials = credentials;
+    this.cache = cache;
+    this.validatorTtl = validatorTtl;
+    this.maxRetries = maxRetries;
+    this.maxRetryDelay = maxRetryDelay;
+    this.scope = scope;
+    this.perPageParam = perPageParam;
+  }
+
+  // Authenticated GET with credential rotation and retries for secondary limits and 5xx
+  async send(url, { params = {}, headers = {}, timeout = 10000, validateStatus } = {}) {
+    const tried = [];
+    let retries = 0;
+
+    while (true) {
+      const { credential, headers: authHeaders } = await this.credentials.acquire(tried);
+
+      try {
+        const response = await axios.get(url, {
+          params,
+          timeout,
+          validateStatus,
+          headers: {
+            'User-Agent': USER_AGENT,
+            'Accept': 'application/vnd.github.v3+json',
+            ...headers,
+            ...authHeaders
+          }
+        });
+        this.credentials.update(credential, response.headers);
+
+        if (response.status === 202) {
+          throw new ComputingError();
+        }
+
+        return response;
+      } catch (error) {
+        this.credentials.update(credential, error.response?.headers);
+        const githubError = toGitHubError(error);
+
+        // Hourly quota is per credential, so another credential can take over immediately
+        if (githubError instanceof RateLimitError && githubError.kind === 'primary') {
+          tried.push(credential);
+          if (credential && tried.length < this.credentials.size) {
+            console.warn(`Credential ${credential.id} is out of quota, rotating to the next one`);
+            continue;
+          }
+          throw githubError;
+        }
+
+        if (!githubError.retryable || retries >= this.maxRetries) {
+          throw githubError;
+        }
+
+        // Honor Retry-After, otherwise back off exponentially with jitter
+        const delay = githubError.retryAfter !== null && githubError.retryAfter !== undefined
+          ? githubError.retryAfter * 1000
+          : 500 * 2 ** retries + Math.floor(Math.random() * 250);
+
+        if (delay > this.maxRetryDelay) {
+          throw githubError;
+        }
+
+        retries++;
+        console.warn(`Retrying ${url} in ${delay}ms (${githubError.message})`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  // GET that revalidates with stored ETag/Last-Modified.
+  // A 304 doesn't count against the rate limit, so refreshing unchanged data is free.
+  async get(path, { params = {}, timeout = 10000 } = {}) {
+    const url = path.startsWith('http') ? path : `${this.apiBase}${path}`;
+    const validatorKey = `${this.scope}etag:${url}?${new URLSearchParams(params)}`;
+    const stored = await this.cache.get(validatorKey);
+    const headers = {};
+
+    if (stored?.etag) {
+      headers['If-None-Match'] = stored.etag;
+    } else if (stored?.lastModified) {
+      headers['If-Modified-Since'] = stored.lastModified;
+    }
+
+    const response = await this.send(url, {
+      params,
+      headers,
+      timeout,
+      validateStatus: status => (status >= 200 && status < 300) || (status === 304 && !!stored)
+    });
+
+    if (response.status === 304) {
+      return { status: 304, data: stored.data, headers: response.headers, notModified: true };
+    }
+
+    const etag = response.headers.etag;
+    const lastModified = response.headers['last-modified'];
+
+    if (etag || lastModified) {
+      await this.cache.set(validatorKey, { etag, lastModified, data: response.data }, this.validatorTtl);
+    }
+
+    return { status: response.status, data: response.data, headers: response.headers, notModified: false };
+  }
+
+  // Fetch every page of a list endpoint (stops at the first short page, after maxPages,
+  // or as soon as `until(items)` returns true)
+  async paginate(path, { params = {}, perPage = 100, maxPages = 100, timeout = 10000, until = null } = {}) {
+    const items = [];
+
+    for (let page = 1; page <= maxPages; page++) {
+      const response = await this.get(path, { params: { ...params, [this.perPageParam]: perPage, page }, timeout });
+      const pageItems = Array.isArray(response.data) ? response.data : [];
+
+      items.push(...pageItems);
+
+      if (pageItems.length < perPage || (until && until(items))) {
+        break;
+      }
+    }
+
+    return items;
+  }
+}
+
+module.exports = {
+  GitHubClient,
+  GitHubError,
+  NotFoundError,
+  AuthenticationError,
+  AccessDeniedError,
+  RateLimitError,
+  HistoryTooLargeError,
+  ComputingError,
+  UpstreamError,
+  toGitHubError
+};
@@ -0,0 +1,113 @@
+// layout.js - Avatar size/shape/spacing options and text measurement for badge layouts
+
+// Hard limits so a request can't produce a huge image (contributors that don't fit are dropped)
+const MAX_BADGE_WIDTH = 4096;
+const MAX_BADGE_HEIGHT = 4096;
+
+// Values of the `style` parameter, every badge route accepts all of them
+const BADGE_STYLES = ['horizontal', 'grid', 'facepile', 'podium', 'list'];
+
+const SHAPES = ['circle', 'rounded', 'square'];
+const LABELS = ['none', 'login', 'name'];
+
+// Accepted ranges for the numeric options
+const LIMITS = {
+  size: { min: 16, max: 128, fallback: 40 },
+  gap: { min: 0, max: 64, fallback: 12 },
+  columns: { min: 1, max: 50, fallback: null },
+  width: { min: 100, max: MAX_BADGE_WIDTH, fallback: null }, // pixels, grids wrap to fill it
+  truncate: { min: 0, max: 100, fallback: 8 } // characters, 0 shows full labels
+};
+
+// Approximate advance widths (in em) of a sans-serif font, good enough to size label columns
+const NARROW_CHARACTERS = /[ijl.,:;|!'`]/;
+const SEMI_NARROW_CHARACTERS = /[ftrI\[\]()\-\s"]/;
+const WIDE_CHARACTERS = /[mwMW@%]/;
+
+// Helper function to estimate the rendered width of a text in pixels
+function measureText(text, fontSize) {
+  let width = 0;
+
+  for (const character of String(text)) {
+    const code = character.codePointAt(0);
+
+    if (code >= 0x2e80) {
+      width += 1; // CJK, emoji and other full-width characters
+    } else if (NARROW_CHARACTERS.test(character)) {
+      width += 0.28;
+    } else if (SEMI_NARROW_CHARACTERS.test(character)) {
+      width += 0.35;
+    } else if (WIDE_CHARACTERS.test(character)) {
+      width += 0.86;
+    } else if (/[A-Z]/.test(character)) {
+      width += 0.67;
+    } else {
+      width += 0.56;
+    }
+  }
+
+  return Math.ceil(width * fontSize);
+}
+
+// Helper function to shorten a label to `maxLength` characters (0 keeps it whole)
+function truncateLabel(text, maxLength) {
+  const characters = Array.from(String(text));
+
+  if (!maxLength || characters.length <= maxLength) {
+    return characters.join('');
+  }
+
+  return characters.slice(0, maxLength).join('') + '…';
+}
+
+// Resolve the layout parameters of a badge request.
+// Returns { layout } with layout = { size, shape, gap, columns, width, labels, truncate, fontSize }, or { error }.
+function resolveLayout({ size, shape = 'circle', gap, columns, width, labels = 'login', truncate } = {}) {
+  const values = {};
+
+  for (const [name, raw] of Object.entries({ size, gap, columns, width, truncate })) {
+    const { min, max, fallback } = LIMITS[name];
+
+    if (raw === undefined || raw === '') {
+      values[name] = fallback;
+      continue;
+    }
+
+    // "truncate=none" is friendlier than 0 for full labels
+    const value = name === 'truncate' && raw === 'none' ? 0 : Number(raw);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { error: `${name} must be a whole number between ${min} and ${max}` };
+    }
+    values[name] = value;
+  }
+
+  if (!SHAPES.includes(shape)) {
+    return { error: `Shape must be one of ${SHAPES.map(name => `"${name}"`).join(', ')}` };
+  }
+
+  if (!LABELS.includes(labels)) {
+    return { error: `Labels must be one of ${LABELS.map(name => `"${name}"`).join(', ')}` };
+  }
+
+  return {
+    layout: {
+      ...values,
+      shape,
+      labels,
+      // Labels grow with the avatars, 11px at the default 40px size
+      fontSize: Math.min(16, Math.max(9, Math.round(values.size * 0.275)))
+    }
+  };
+}
+
+module.exports = {
+  BADGE_STYLES,
+  SHAPES,
+  LABELS,
+  LIMITS,
+  MAX_BADGE_WIDTH,
+  MAX_BADGE_HEIGHT,
+  measureText,
+  truncateLabel,
+  resolveLayout
+};
@@ -0,0 +1,142 @@
+// openapi.js - OpenAPI 3.1 document of the API, generated from the query and body schemas of its routes
+const { CONTENT_TYPES } = require('./raster');
+const { SIGNATURE_PARAM, EXPIRES_PARAM, CREDENTIAL_PARAM } = require('./signing');
+
+// Parameters of signed URLs (see POST /tokens), accepted by the signable routes on top of their own
+const SIGNED_URL_PARAMETERS = [
+  { name: EXPIRES_PARAM, description: 'Expiry of a signed URL (Unix time)', schema: { type: 'integer' } },
+  { name: SIGNATURE_PARAM, description: 'Signature of a signed URL', schema: { type: 'string' } },
+  { name: CREDENTIAL_PARAM, description: 'Encrypted credential of a signed URL', schema: { type: 'string' } }
+];
+
+// Helper function to reference a shared error response
+function errorResponse(description, schema = 'Error') {
+  return { description, content: { 'application/json': { schema: { $ref: `#/components/schemas/${schema}` } } } };
+}
+
+// Helper function to describe the successful response of a route
+function successResponse(response) {
+  if (response === 'image') {
+    return {
+      description: 'The badge, in the requested format',
+      content: Object.fromEntries(Object.values(CONTENT_TYPES).map(type => [type, { schema: { type: 'string', format: 'binary' } }]))
+    };
+  }
+
+  return { description: 'OK', content: { 'application/json': { schema: { type: 'object' } } } };
+}
+
+// Helper function to turn a query schema property into an OpenAPI parameter
+function queryParameter(name, property, required) {
+  const { description, ...schema } = property;
+  // Lists are comma-separated: ?exclude=a,b
+  const isList = schema.type === 'array' || (schema.anyOf || []).some(option => option.type === 'array');
+
+  return {
+    name,
+    in: 'query',
+    required,
+    description,
+    schema,
+    ...(isList ? { style: 'form', explode: false } : {})
+  };
+}
+
+// Helper function to describe a POST route taking a JSON body
+function bodyOperation(route) {
+  return {
+    summary: route.summary,
+    ...(route.auth ? { security: [{ apiKey: [] }] } : {}),
+    requestBody: { required: true, content: { 'application/json': { schema: route.body } } },
+    responses: {
+      [route.status || 200]: successResponse(route.response),
+      400: errorResponse('Invalid body', 'ValidationError'),
+      ...(route.auth ? {
+        401: errorResponse('Invalid or missing API key'),
+        503: errorResponse('Not enabled on this server')
+      } : {}),
+      500: errorResponse('Unexpected error')
+    }
+  };
+}
+
+// Build the OpenAPI document for `routes` (see routeSchemas). Routes listed in `signedRoutes`
+// also document the signed URL parameters.
+function openApiDocument(routes, { version, signedRoutes = [] }) {
+  const paths = {};
+
+  for (const [path, route] of Object.entries(routes)) {
+    if (route.body) {
+      paths[path] = { post: bodyOperation(route) };
+      continue;
+    }
+
+    const { properties, required } = route.query;
+    const parameters = Object.entries(properties).map(([name, property]) => queryParameter(name, property, required.includes(name)));
+
+    if (signedRoutes.includes(path)) {
+      parameters.push(...SIGNED_URL_PARAMETERS.map(parameter => ({ ...parameter, in: 'query', required: false })));
+    }
+
+    paths[path] = {
+      get: {
+        summary: route.summary,
+        parameters,
+        responses: {
+          200: successResponse(route.response),
+          400: errorResponse('Invalid parameters', 'ValidationError'),
+          403: errorResponse('Invalid signed URL'),
+          404: errorResponse('Repository not found'),
+          429: errorResponse('Upstream API rate limit exceeded, see Retry-After'),
+          500: errorResponse('Unexpected error')
+        }
+      }
+    };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'GitHub Contributors Badge Service',
+      description: 'Dynamic contributor badges for GitHub, GitHub Enterprise Server, GitLab and Gitea repositories',
+      version
+    },
+    paths,
+    components: {
+      securitySchemes: {
+        apiKey: { type: 'http', scheme: 'bearer', description: 'The TOKENS_API_KEY of the server' }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['error'],
+          properties: {
+            error: { type: 'string' }
+          }
+        },
+        ValidationError: {
+          type: 'object',
+          required: ['error', 'errors'],
+          properties: {
+            error: { type: 'string' },
+            errors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['field', 'message'],
+                properties: {
+                  field: { type: 'string', description: 'Name of the invalid parameter' },
+                  message: { type: 'string' }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  openApiDocument
+};
@@ -0,0 +1,368 @@
+// providers.js - Code hosts badges can be generated for (GitHub, GitHub Enterprise Server, GitLab, Gitea)
+const { CredentialPool, TokenCredential, createCredentialPool } = require('./credentials');
+const { GitHubClient, GitHubError } = require('./github');
+
+const REPO_FORMAT_ERROR = 'Repository must be in format "username/repo-name"';
+
+// Owner, group and repository names: letters, digits, "-", "_" and "." (but not "." or ".." alone)
+const NAME_SEGMENT = /^(?!\.\.?$)[\w.-]{1,100}$/;
+
+// Helper function to build a token pool from a comma/whitespace separated environment value
+function tokenPool(value, prefix, scheme) {
+  const tokens = [...new Set((value || '').split(/[\s,]+/).filter(Boolean))];
+  return new CredentialPool(tokens.map((token, index) => new TokenCredential(`${prefix}-${index + 1}`, token, scheme)));
+}
+
+// Shared plumbing: every provider speaks a GitHub-like REST API through a GitHubClient
+class Provider {
+  constructor({ kind, url, apiBase, credentials, client = null, cache, validatorTtl, authScheme = 'token', perPageParam = 'per_page' }) {
+    this.kind = kind;
+    this.url = url.replace(/\/+$/, '');
+    this.host = new URL(this.url).host.toLowerCase();
+    this.apiBase = apiBase;
+    this.credentials = credentials;
+    this.cache = cache;
+    this.validatorTtl = validatorTtl;
+    this.authScheme = authScheme;
+    this.perPageParam = perPageParam;
+    // github.com keeps the original, unprefixed cache keys
+    this.cachePrefix = kind === 'github' ? '' : `${kind}:${this.host}:`;
+    this.client = client || this.createClient(credentials);
+  }
+
+  createClient(credentials, scope = this.cachePrefix) {
+    return new GitHubClient({
+      apiBase: this.apiBase,
+      credentials,
+      cache: this.cache,
+      validatorTtl: this.validatorTtl,
+      perPageParam: this.perPageParam,
+      scope
+    });
+  }
+
+  // Client acting with a single token, e.g. one from a signed URL
+  createScopedClient(token, scope) {
+    return this.createClient(new CredentialPool([new TokenCredential('scoped', token, this.authScheme)]), scope);
+  }
+
+  // Page listing everyone who contributed, linked from the "+N more" tile of truncated badges
+  contributorsUrl(repo) {
+    return `${this.url}/${repo}/graphs/contributors`;
+  }
+
+  validateRepo(repo) {
+    const segments = String(repo).split('/');
+    return segments.length === 2 && segments.every(segment => NAME_SEGMENT.test(segment)) ? null : REPO_FORMAT_ERROR;
+  }
+
+  report() {
+    return { provider: this.kind, host: this.host, credentials: this.credentials.size };
+  }
+}
+
+// github.com and GitHub Enterprise Server. Contributor lists are built by the server's GitHub
+// pipeline (windows, co-authors, contribution types...), so this only covers repository info.
+class GitHubProvider extends Provider {
+  constructor(options) {
+    super(options);
+    this.githubApi = true;
+  }
+
+  async getRepoInfo(client, repo) {
+    const { data } = await client.get(`/repos/${repo}`, { timeout: 5000 });
+
+    return {
+      name: data.name,
+      full_name: data.full_name,
+      description: data.description,
+      stars: data.stargazers_count,
+      forks: data.forks_count,
+      language: data.language,
+      created_at: data.created_at,
+      updated_at: data.updated_at,
+      html_url: data.html_url,
+      private: Boolean(data.private)
+    };
+  }
+}
+
+// GitLab (gitlab.com or self-managed). Projects may live in nested groups ("group/subgroup/project").
+class GitLabProvider extends Provider {
+  constructor({ maxContributors = 1000, resolveLimit = 100, ...options }) {
+    super({ ...options, authScheme: 'Bearer' });
+    this.githubApi = false;
+    this.maxContributors = maxContributors;
+    this.resolveLimit = resolveLimit;
+  }
+
+  validateRepo(repo) {
+    const segments = String(repo).split('/');
+    return segments.length >= 2 && segments.length <= 20 && segments.every(segment => NAME_SEGMENT.test(segment))
+      ? null
+      : 'Repository must be in format "group/project" (subgroups allowed)';
+  }
+
+  contributorsUrl(repo) {
+    return `${this.url}/${repo}/-/graphs/HEAD`;
+  }
+
+  async getRepoInfo(client, repo) {
+    const { data } = await client.get(`/projects/${encodeURIComponent(repo)}`, { timeout: 5000 });
+
+    return {
+      name: data.name,
+      full_name: data.path_with_namespace,
+      description: data.description,
+      stars: data.star_count,
+      forks: data.forks_count,
+      language: null, // Only available from a separate languages endpoint
+      created_at: data.created_at,
+      updated_at: data.last_activity_at,
+      html_url: data.web_url,
+      // "internal" projects are visible to any signed-in user, not to everyone
+      private: data.visibility !== 'public'
+    };
+  }
+
+  // GitLab counts commits per author email, so entries are merged by author name and
+  // matched to accounts with a public email. Unmatched authors are shown by name with `anon`
+  // and left out otherwise, like the commit authors GitHub can't link to an account.
+  async listContributors(client, repo, { anon = false } = {}) {
+    const entries = await client.paginate(`/projects/${encodeURIComponent(repo)}/repository/contributors`, {
+      params: { order_by: 'commits', sort: 'desc' },
+      maxPages: Math.ceil(this.maxContributors / 100)
+    });
+    const byName = new Map();
+
+    for (const entry of entries) {
+      const key = entry.name.toLowerCase();
+      const existing = byName.get(key);
+
+      if (existing) {
+        existing.contributions += entry.commits;
+        existing.emails.push(entry.email);
+      } else {
+        byName.set(key, { name: entry.name, emails: [entry.email], contributions: entry.commits });
+      }
+    }
+
+    const authors = Array.from(byName.values()).sort((a, b) => b.contributions - a.contributions);
+    const contributors = [];
+    const batchSize = 10;
+
+    for (let i = 0; i < authors.length; i += batchSize) {
+      // Authors past the resolve limit can only be shown anonymously
+      if (i >= this.resolveLimit && !anon) {
+        break;
+      }
+
+      const batch = authors.slice(i, i + batchSize);
+
+      contributors.push(...await Promise.all(batch.map(author => (
+        i < this.resolveLimit ? this.resolveAuthor(client, author) : this.anonymousAuthor(author, null)
+      ))));
+    }
+
+    return {
+      contributors: anon ? contributors : contributors.filter(contributor => contributor.type !== 'Anonymous'),
+      source: 'contributors'
+    };
+  }
+
+  async resolveAuthor(client, author) {
+    try {
+      const { data: users } = await client.get('/users', { params: { search: author.emails[0] } });
+
+      if (Array.isArray(users) && users.length === 1) {
+        const user = users[0];
+        return {
+          id: user.id,
+          login: user.username,
+          name: user.name,
+          type: 'User',
+          avatar_url: user.avatar_url,
+          html_url: user.web_url,
+          contributions: author.contributions
+        };
+      }
+
+      const { data: avatar } = await client.get('/avatar', { params: { email: author.emails[0] } });
+      return this.anonymousAuthor(author, avatar.avatar_url);
+    } catch (error) {
+      if (!(error instanceof GitHubError) || error.statusCode === 429) {
+        throw error;
+      }
+      return this.anonymousAuthor(author, null);
+    }
+  }
+
+  anonymousAuthor(author, avatarUrl) {
+    return {
+      type: 'Anonymous',
+      name: author.name,
+      email: author.emails[0],
+      avatar_url: avatarUrl,
+      contributions: author.contributions
+    };
+  }
+}
+
+// Gitea (and Forgejo). There is no contributors endpoint, so recent commit authors are counted.
+class GiteaProvider extends Provider {
+  constructor({ maxCommits = 1000, ...options }) {
+    super({ ...options, perPageParam: 'limit' });
+    this.githubApi = false;
+    this.maxCommits = maxCommits;
+  }
+
+  contributorsUrl(repo) {
+    return `${this.url}/${repo}/activity/contributors`;
+  }
+
+  async getRepoInfo(client, repo) {
+    const { data } = await client.get(`/repos/${repo}`, { timeout: 5000 });
+
+    return {
+      name: data.name,
+      full_name: data.full_name,
+      description: data.description,
+      stars: data.stars_count,
+      forks: data.forks_count,
+      language: data.language,
+      created_at: data.created_at,
+      updated_at: data.updated_at,
+      html_url: data.html_url,
+      private: Boolean(data.private || data.internal)
+    };
+  }
+
+  async listContributors(client, repo, { anon = false } = {}) {
+    let commits;
+
+    try {
+      commits = await client.paginate(`/repos/${repo}/commits`, {
+        params: { stat: false, verification: false, files: false },
+        perPage: 50,
+        maxPages: Math.ceil(this.maxCommits / 50)
+      });
+    } catch (error) {
+      // 409 Conflict means the repository is empty
+      if (error instanceof GitHubError && error.status === 409) {
+        return { contributors: [], source: 'commits' };
+      }
+      throw error;
+    }
+
+    const authors = new Map();
+
+    for (const commit of commits) {
+      const login = commit.author?.login;
+
+      if (!login && !anon) {
+        continue;
+      }
+
+      const key = login || `email:${commit.commit.author.email.toLowerCase()}`;
+      const existing = authors.get(key);
+
+      if (existing) {
+        existing.contributions++;
+      } else if (login) {
+        authors.set(key, {
+          id: commit.author.id,
+          login,
+          type: 'User',
+          avatar_url: commit.author.avatar_url,
+          html_url: commit.author.html_url || `${this.url}/${login}`,
+          contributions: 1
+        });
+      } else {
+        authors.set(key, {
+          type: 'Anonymous',
+          name: commit.commit.author.name,
+          email: commit.commit.author.email,
+          contributions: 1
+        });
+      }
+    }
+
+    return {
+      contributors: Array.from(authors.values()).sort((a, b) => b.contributions - a.contributions),
+      source: 'commits'
+    };
+  }
+}
+
+// Create the configured providers. github.com always comes first and is the default;
+// GHES_URL, GITLAB_URL (defaults to gitlab.com) and GITEA_URL add the others.
+function createProviders(env = process.env, { github, credentials, cache, validatorTtl, maxCommits }) {
+  const shared = { cache, validatorTtl };
+  const providers = [
+    new GitHubProvider({ ...shared, kind: 'github', url: 'https://github.com', apiBase: github.apiBase, credentials, client: github })
+  ];
+
+  if (env.GHES_URL) {
+    const url = env.GHES_URL.replace(/\/+$/, '');
+    const apiBase = `${url}/api/v3`;
+    providers.push(new GitHubProvider({
+      ...shared,
+      kind: 'ghes',
+      url,
+      apiBase,
+      credentials: createCredentialPool({ GITHUB_TOKENS: env.GHES_TOKEN }, { apiBase })
+    }));
+  }
+
+  const gitlabUrl = (env.GITLAB_URL || 'https://gitlab.com').replace(/\/+$/, '');
+  providers.push(new GitLabProvider({
+    ...shared,
+    kind: 'gitlab',
+    url: gitlabUrl,
+    apiBase: `${gitlabUrl}/api/v4`,
+    credentials: tokenPool(env.GITLAB_TOKEN, 'gitlab', 'Bearer')
+  }));
+
+  if (env.GITEA_URL) {
+    const url = env.GITEA_URL.replace(/\/+$/, '');
+    providers.push(new GiteaProvider({
+      ...shared,
+      kind: 'gitea',
+      url,
+      apiBase: `${url}/api/v1`,
+      credentials: tokenPool(env.GITEA_TOKEN, 'gitea'),
+      maxCommits
+    }));
+  }
+
+  return providers;
+}
+
+// Pick the provider for a request's `provider` and/or `host` parameters.
+// Only configured hosts can be selected, so requests can't point the service at arbitrary servers.
+function resolveProvider(providers, { provider: kind, host } = {}) {
+  if (!kind && !host) {
+    return { provider: providers[0] };
+  }
+
+  const hostName = host ? String(host).trim().toLowerCase() : null;
+  const match = providers.find(provider => (!kind || provider.kind === kind) && (!hostName || provider.host === hostName));
+
+  if (match) {
+    return { provider: match };
+  }
+
+  if (hostName) {
+    return { error: `Host "${hostName}" is not configured${kind ? ` for provider "${kind}"` : ''}` };
+  }
+
+  return { error: `Provider must be one of ${providers.map(provider => provider.kind).join(', ')}` };
+}
+
+module.exports = {
+  GitHubProvider,
+  GitLabProvider,
+  GiteaProvider,
+  createProviders,
+  resolveProvider
+};
@@ -0,0 +1,58 @@
+// raster.js - Server-side PNG/WebP rendering of SVG badges
+const sharp = require('sharp');
+
+const OUTPUT_FORMATS = ['svg', 'png', 'webp'];
+const MAX_SCALE = 4;
+
+const CONTENT_TYPES = {
+  svg: 'image/svg+xml',
+  png: 'image/png',
+  webp: 'image/webp'
+};
+
+// Pixel budget of a raster badge. Badges may be up to MAX_BADGE_WIDTH x MAX_BADGE_HEIGHT, so
+// large ones are rendered at a lower scale instead of tying up the CPU for minutes.
+const MAX_RASTER_PIXELS = 4 * 1024 * 1024;
+// Above this size the extra zlib effort of compressionLevel 9 costs far more time than it saves bytes
+const MAX_COMPRESSED_PIXELS = 1024 * 1024;
+const RASTER_TIMEOUT_SECONDS = 20;
+
+// Helper function to pick the scale a badge is rendered at: the requested one, or the largest
+// one that keeps the output within MAX_RASTER_PIXELS
+function rasterScale(width, height, scale) {
+  const pixels = width * height * scale * scale;
+
+  if (pixels <= MAX_RASTER_PIXELS) {
+    return scale;
+  }
+
+  return Math.floor(scale * Math.sqrt(MAX_RASTER_PIXELS / pixels) * 100) / 100;
+}
+
+// Helper function to rasterize an SVG badge.
+// Avatars are embedded as base64 data URIs, so librsvg renders them without any network access.
+async function rasterizeSVG(svg, format, scale = 1) {
+  const input = Buffer.from(svg.trim());
+
+  // Reading the metadata only parses the SVG, its size at 72 DPI is the badge size in pixels
+  const { width, height } = await sharp(input).metadata();
+  const effectiveScale = rasterScale(width, height, scale);
+
+  // SVG user units map to pixels at 72 DPI, so scaling the density scales the output
+  const image = sharp(input, { density: 72 * effectiveScale, limitInputPixels: MAX_RASTER_PIXELS }).timeout({ seconds: RASTER_TIMEOUT_SECONDS });
+
+  if (format === 'webp') {
+    return image.webp({ lossless: true }).toBuffer();
+  }
+
+  const pixels = width * height * effectiveScale * effectiveScale;
+  return image.png({ compressionLevel: pixels <= MAX_COMPRESSED_PIXELS ? 9 : 6 }).toBuffer();
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  MAX_SCALE,
+  MAX_RASTER_PIXELS,
+  CONTENT_TYPES,
+  rasterizeSVG
+};
@@ -0,0 +1,477 @@
+// schema.js - Declarative query and body schemas of the API routes. The same schemas validate requests,
+// generate the OpenAPI document and drive the badge builder page, so they can't drift apart.
+const { BADGE_STYLES, SHAPES, LABELS, LIMITS } = require('./layout');
+const { THEME_NAMES } = require('./themes');
+const { OUTPUT_FORMATS, MAX_SCALE } = require('./raster');
+
+const MAX_LIMIT = 100;
+
+// Readable expectations for the string formats used below
+const FORMATS = {
+  repository: 'in format "owner/repo"',
+  account: 'a valid account name',
+  color: 'a hex color such as "0366d6"',
+  ref: 'a date (YYYY-MM-DD), a relative window such as "90d", or a tag/ref name',
+  text: 'text without control characters',
+  token: 'a non-empty token without spaces'
+};
+
+// Parameter groups, routes list the groups and single parameters they accept
+const REPOSITORY = ['repo', 'provider', 'host'];
+const SELECTION = ['org', 'repos', 'forks', 'archived'];
+const LAYOUT = ['style', 'size', 'shape', 'gap', 'columns', 'width', 'labels', 'truncate'];
+const COLORS = ['theme', 'bg', 'text', 'border', 'accent'];
+const LIST = ['anon', 'coauthors', 'exclude_bots', 'exclude', 'include', 'since', 'until', 'types', 'source', 'merge'];
+const OUTPUT = ['format', 'scale'];
+
+const ROUTES = {
+  '/badge': {
+    summary: 'Contributor badge',
+    response: 'image',
+    parameters: [...REPOSITORY, 'limit', ...LAYOUT, ...COLORS, 'avatars', ...LIST, ...OUTPUT]
+  },
+  '/badge/all': {
+    summary: 'Badge with all contributors, optionally paginated or capped with a "+N more" tile',
+    response: 'image',
+    parameters: [...REPOSITORY, 'page', 'per_page', 'max', ...LAYOUT, ...COLORS, 'avatars', ...LIST, ...OUTPUT]
+  },
+  '/badge/fast': {
+    summary: 'Badge without avatars (colored initials only)',
+    response: 'image',
+    parameters: [...REPOSITORY, 'limit', ...LAYOUT, ...COLORS, ...LIST, ...OUTPUT]
+  },
+  '/badge/custom': {
+    summary: 'Badge with a title, subtitle and contribution counts',
+    response: 'image',
+    parameters: [...REPOSITORY, 'limit', 'title', 'subtitle', 'show_contributions', ...LAYOUT, ...COLORS, 'avatars', ...LIST, ...OUTPUT]
+  },
+  '/badge/org': {
+    summary: 'Badge aggregating the contributors of an organization or a list of repositories',
+    response: 'image',
+    parameters: [...SELECTION, 'limit', ...LAYOUT, ...COLORS, 'avatars', ...LIST, ...OUTPUT]
+  },
+  '/stats': {
+    summary: 'Contributor statistics of a repository',
+    response: 'json',
+    parameters: [...REPOSITORY, ...LIST]
+  },
+  '/stats/org': {
+    summary: 'Contributor statistics of an organization or a list of repositories',
+    response: 'json',
+    parameters: [...SELECTION, ...LIST]
+  },
+  '/repo-info': {
+    summary: 'Repository information',
+    response: 'json',
+    parameters: REPOSITORY
+  }
+};
+
+// Helper function to describe one of the numeric layout options
+function layoutNumber(name, description) {
+  const { min, max, fallback } = LIMITS[name];
+  const schema = { type: 'integer', minimum: min, maximum: max, description, 'x-group': 'layout' };
+
+  if (fallback !== null) {
+    schema.default = fallback;
+  }
+  return schema;
+}
+
+// Helper function to describe a "true"/"false" query flag
+function flag(description, group, fallback = false) {
+  return { type: 'boolean', default: fallback, description, 'x-group': group };
+}
+
+// Helper function to describe a color override (hex, "#" optional)
+function color(description) {
+  return { type: 'string', format: 'color', pattern: '^#?([0-9a-fA-F]{3,4}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$', description, 'x-group': 'colors' };
+}
+
+// Helper function to describe a whole number parameter
+function integer(minimum, maximum, description, group) {
+  return { type: 'integer', minimum, maximum, description, 'x-group': group };
+}
+
+// Every query parameter of the API. Flags are sent as "true"/"false" and arrays comma-separated.
+function parameterSchemas({ providers, contributionTypes, maxRepos, maxHeaderLength }) {
+  const repository = { type: 'string', format: 'repository', pattern: '^[\\w.-]+(/[\\w.-]+)+$' };
+  const text = description => ({ type: 'string', format: 'text', pattern: '^[^\\u0000-\\u001f\\u007f]*$', maxLength: maxHeaderLength, description, 'x-group': 'layout' });
+  const logins = description => ({ type: 'array', items: { type: 'string' }, maxItems: 100, description, 'x-group': 'contributors' });
+  // "." and ".." would survive URL encoding and turn /commits/<ref> into another API path
+  const ref = description => ({ type: 'string', format: 'ref', pattern: '^(?!\\.+$)[\\w.\\-\\/:+]+$', maxLength: 100, description, 'x-group': 'contributors' });
+
+  return {
+    repo: {
+      ...repository,
+      description: 'Repository in format "owner/repo" (GitLab: "group/subgroup/project")',
+      examples: ['facebook/react'],
+      'x-group': 'repository'
+    },
+    provider: {
+      type: 'string',
+      enum: [...new Set(providers.map(provider => provider.kind))],
+      default: providers[0].kind,
+      description: 'Code host of the repository',
+      'x-group': 'repository'
+    },
+    host: {
+      type: 'string',
+      enum: providers.map(provider => provider.host),
+      description: 'Select a configured host by name instead of by provider',
+      'x-group': 'repository'
+    },
+    org: {
+      type: 'string',
+      format: 'account',
+      pattern: '^[A-Za-z0-9][A-Za-z0-9-]{0,38}$',
+      description: 'GitHub organization or user whose repositories are aggregated',
+      'x-group': 'repository'
+    },
+    repos: {
+      type: 'array',
+      items: repository,
+      maxItems: maxRepos,
+      description: 'Repositories to aggregate (added to the org\'s repositories)',
+      'x-group': 'repository'
+    },
+    forks: flag('Include forks of the org', 'repository'),
+    archived: flag('Include archived repositories of the org', 'repository'),
+    limit: {
+      anyOf: [{ type: 'integer', minimum: 1, maximum: MAX_LIMIT }, { const: 'all' }],
+      default: 10,
+      description: `Number of contributors (1-${MAX_LIMIT}) or "all"`,
+      'x-group': 'repository'
+    },
+    page: { ...integer(1, 10000, 'Page of per_page contributors', 'repository'), default: 1 },
+    per_page: integer(1, 500, 'Contributors per page', 'repository'),
+    max: integer(1, 1000, 'Show at most this many, the rest are summed up in a "+N more" tile', 'repository'),
+    title: text('Title shown above the avatars'),
+    subtitle: text('Subtitle shown under the title'),
+    show_contributions: flag('Show the number of commits under each contributor', 'layout'),
+    style: {
+      type: 'string',
+      enum: BADGE_STYLES,
+      default: 'horizontal',
+      description: 'Badge layout',
+      'x-group': 'layout'
+    },
+    size: layoutNumber('size', 'Avatar size in pixels, labels scale with it'),
+    shape: {
+      type: 'string',
+      enum: SHAPES,
+      default: 'circle',
+      description: 'Avatar shape',
+      'x-group': 'layout'
+    },
+    gap: layoutNumber('gap', 'Space between avatars in pixels'),
+    columns: layoutNumber('columns', 'Avatars per row'),
+    width: layoutNumber('width', 'Fixed badge width in pixels, avatars wrap to fill it'),
+    labels: {
+      type: 'string',
+      enum: LABELS,
+      default: 'login',
+      description: 'Text under each avatar ("none" shows the name on hover)',
+      'x-group': 'layout'
+    },
+    truncate: {
+      anyOf: [{ type: 'integer', minimum: LIMITS.truncate.min, maximum: LIMITS.truncate.max }, { const: 'none' }],
+      default: LIMITS.truncate.fallback,
+      description: 'Shorten labels to this many characters, "none" for full labels',
+      'x-group': 'layout'
+    },
+    theme: {
+      type: 'string',
+      enum: THEME_NAMES,
+      default: 'light',
+      description: 'Color theme, "auto" follows the viewer\'s light/dark mode',
+      'x-group': 'colors'
+    },
+    bg: color('Background color'),
+    text: color('Text color'),
+    border: color('Border color'),
+    accent: color('Accent (hover) color'),
+    avatars: flag('Embed avatars, "false" draws colored initials only', 'contributors', true),
+    anon: flag('Include contributors whose commit email isn\'t linked to an account', 'contributors'),
+    coauthors: flag('Credit Co-authored-by trailers from recent commits', 'contributors'),
+    exclude_bots: flag('Hide bots such as dependabot[bot]', 'contributors'),
+    exclude: logins('Logins to hide'),
+    include: logins('Logins to show exclusively'),
+    since: ref('Only count commits after a date ("2024-01-01"), a window ("90d") or a tag'),
+    until: ref('Only count commits before a date or tag'),
+    types: {
+      anyOf: [
+        { enum: ['all', 'true'] },
+        { type: 'array', items: { type: 'string', enum: Object.keys(contributionTypes) }, uniqueItems: true }
+      ],
+      description: 'Contribution types to show as markers and rank by ("all" for every type)',
+      'x-group': 'contributors'
+    },
+    source: {
+      type: 'string',
+      enum: ['api', 'allcontributors'],
+      default: 'api',
+      description: '"allcontributors" lists the repository\'s .all-contributorsrc',
+      'x-group': 'contributors'
+    },
+    merge: flag('With source=allcontributors, add commit counts and missing API contributors', 'contributors'),
+    format: {
+      type: 'string',
+      enum: OUTPUT_FORMATS,
+      default: 'svg',
+      description: 'Image format',
+      'x-group': 'output'
+    },
+    scale: {
+      type: 'number',
+      minimum: 1,
+      maximum: MAX_SCALE,
+      default: 1,
+      description: 'Raster scale factor, lowered for badges that would exceed 4 megapixels',
+      'x-group': 'output'
+    }
+  };
+}
+
+// JSON bodies of the POST routes. Values may also be given in their query string form
+// (5 or "5", true or "true", ["a", "b"] or "a,b"). `auth` routes require the TOKENS_API_KEY.
+function bodySchemas(parameters, { signedRoutes, defaultSignedUrlTtl, maxSignedUrlTtl, maxBatchRepos }) {
+  const { repo, ...badgeOptions } = Object.fromEntries(ROUTES['/badge'].parameters.map(name => [name, parameters[name]]));
+
+  return {
+    '/tokens': {
+      summary: 'Signed, expiring URL of a badge or stats route (e.g. for a private repository)',
+      response: 'json',
+      status: 201,
+      auth: true,
+      body: {
+        type: 'object',
+        required: ['repo'],
+        properties: {
+          repo,
+          endpoint: { type: 'string', enum: signedRoutes, default: '/badge', description: 'Route the URL is signed for' },
+          params: { type: 'object', description: 'Query parameters of the route (without repo), validated against its schema and signed' },
+          expires_in: { type: 'integer', minimum: 60, maximum: maxSignedUrlTtl, default: defaultSignedUrlTtl, description: 'Lifetime of the URL in seconds' },
+          github_token: {
+            type: 'string',
+            format: 'token',
+            pattern: '^\\S+$',
+            description: 'Token used instead of the server\'s credentials (ideally limited to the repository), encrypted into the URL'
+          }
+        }
+      }
+    },
+    '/batch': {
+      summary: 'Contributors of several repositories, each with the URL of its badge',
+      response: 'json',
+      body: {
+        type: 'object',
+        required: ['repositories'],
+        properties: {
+          repositories: {
+            type: 'array',
+            items: { type: repo.type, format: repo.format, pattern: repo.pattern },
+            maxItems: maxBatchRepos,
+            description: 'Repositories in format "owner/repo"',
+            'x-group': 'repository'
+          },
+          ...badgeOptions,
+          limit: { ...badgeOptions.limit, default: 5 }
+        }
+      }
+    },
+    '/webhook/invalidate': {
+      summary: 'Drop the cached badges and statistics of a repository',
+      response: 'json',
+      auth: true,
+      body: {
+        type: 'object',
+        required: ['repo'],
+        properties: { repo, provider: parameters.provider, host: parameters.host }
+      }
+    }
+  };
+}
+
+// Build the schema of every route: { path: { summary, response, query } } for the GET routes, where
+// `query` is the JSON Schema of the route's query string, and { path: { summary, response, status,
+// auth, body } } for the POST routes (see bodySchemas)
+function routeSchemas(context) {
+  const parameters = parameterSchemas(context);
+
+  return {
+    ...Object.fromEntries(Object.entries(ROUTES).map(([path, route]) => [path, {
+      summary: route.summary,
+      response: route.response,
+      query: {
+        type: 'object',
+        required: route.parameters.includes('repo') ? ['repo'] : [],
+        properties: Object.fromEntries(route.parameters.map(name => [name, parameters[name]]))
+      }
+    }])),
+    ...bodySchemas(parameters, context)
+  };
+}
+
+// Schema of the /badge query string for the builder page. `x-group` sorts the options into the
+// page's sections and `x-providers` lists the configured hosts (for links to the repository).
+function badgeOptionsSchema(routes, providers) {
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'Badge options',
+    description: 'Query parameters of GET /badge',
+    ...routes['/badge'].query,
+    'x-providers': providers.map(provider => ({ provider: provider.kind, host: provider.host, url: provider.url }))
+  };
+}
+
+// Helper function to split a comma-separated query value
+function splitList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Helper function to check a query string value against a parameter schema
+function matches(schema, value) {
+  if (schema.anyOf) {
+    return schema.anyOf.some(option => matches(option, value));
+  }
+
+  if ('const' in schema) {
+    return value === String(schema.const);
+  }
+
+  if (schema.enum) {
+    return schema.enum.map(String).includes(value);
+  }
+
+  switch (schema.type) {
+    case 'integer':
+    case 'number': {
+      const number = Number(value);
+      return value.trim() !== '' && Number.isFinite(number) && (schema.type === 'number' || Number.isInteger(number)) &&
+        !(number < schema.minimum) && !(number > schema.maximum);
+    }
+    case 'boolean':
+      return value === 'true' || value === 'false';
+    case 'array': {
+      const items = splitList(value);
+      return !(items.length > schema.maxItems) &&
+        (!schema.uniqueItems || new Set(items).size === items.length) &&
+        items.every(item => matches(schema.items, item));
+    }
+    default:
+      return !(Array.from(value).length > schema.maxLength) && (!schema.pattern || new RegExp(schema.pattern).test(value));
+  }
+}
+
+// Helper function to describe the values a parameter schema accepts, for error messages.
+// `list` names what arrays are given as.
+function expectation(schema, list = 'a comma-separated list') {
+  if (schema.anyOf) {
+    return schema.anyOf.map(option => expectation(option, list)).join(', or ');
+  }
+
+  if ('const' in schema) {
+    return `"${schema.const}"`;
+  }
+
+  if (schema.enum) {
+    return `one of ${schema.enum.map(value => `"${value}"`).join(', ')}`;
+  }
+
+  switch (schema.type) {
+    case 'integer':
+      return `a whole number between ${schema.minimum} and ${schema.maximum}`;
+    case 'number':
+      return `a number between ${schema.minimum} and ${schema.maximum}`;
+    case 'boolean':
+      return '"true" or "false"';
+    case 'array':
+      return `${list} of ${schema.maxItems ? `at most ${schema.maxItems} ` : ''}${schema.uniqueItems ? 'different ' : ''}values, each ${expectation(schema.items)}`;
+    default:
+      return [
+        FORMATS[schema.format],
+        schema.maxLength ? `at most ${schema.maxLength} characters` : null
+      ].filter(Boolean).join(', ') || 'a string';
+  }
+}
+
+// Validate a query string against a route's query schema.
+// Returns { errors, query }: a list of { field, message } errors (empty when the query is valid) and
+// the query without empty values. Empty values count as not given, so the routes see them as
+// missing and use their defaults. Unknown parameters are ignored and kept.
+function validateQuery(schema, query) {
+  const errors = [];
+  const cleaned = Object.fromEntries(Object.entries(query).filter(([field, value]) => !(field in schema.properties && value === '')));
+
+  for (const [field, property] of Object.entries(schema.properties)) {
+    const value = cleaned[field];
+
+    if (value === undefined) {
+      if (schema.required.includes(field)) {
+        errors.push({ field, message: `${field} is required` });
+      }
+    } else if (typeof value !== 'string') {
+      // Repeated (?a=1&a=2) or nested (?a[b]=1) parameters
+      errors.push({ field, message: `${field} must be given once, as a single value` });
+    } else if (!matches(property, value)) {
+      errors.push({ field, message: `${field} must be ${expectation(property)}` });
+    }
+  }
+
+  return { errors, query: cleaned };
+}
+
+// Helper function to turn a JSON value into its query string form: numbers and booleans as text,
+// arrays of them comma-separated. Other values (objects, nested arrays) are returned unchanged.
+function queryValue(value) {
+  const isScalar = item => ['string', 'number', 'boolean'].includes(typeof item);
+
+  if (isScalar(value)) {
+    return String(value);
+  }
+  return Array.isArray(value) && value.every(isScalar) ? value.join(',') : value;
+}
+
+// Validate a JSON request body against a body schema (see bodySchemas), with the rules of validateQuery.
+// Returns { errors, values }: the errors and the known fields in their query string form, except
+// `object` fields, which are only checked to be objects. Null and empty values count as not given,
+// unknown fields are dropped.
+function validateBody(schema, body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { errors: [{ field: 'body', message: 'The request body must be a JSON object' }], values: {} };
+  }
+
+  const errors = [];
+  const values = {};
+
+  for (const [field, property] of Object.entries(schema.properties)) {
+    const value = property.type === 'object' ? body[field] : queryValue(body[field]);
+
+    if (value === undefined || value === null || value === '') {
+      if (schema.required.includes(field)) {
+        errors.push({ field, message: `${field} is required` });
+      }
+    } else if (property.type === 'object') {
+      if (typeof value === 'object' && !Array.isArray(value)) {
+        values[field] = value;
+      } else {
+        errors.push({ field, message: `${field} must be an object` });
+      }
+    } else if (typeof value !== 'string' || !matches(property, value)) {
+      errors.push({ field, message: `${field} must be ${expectation(property, 'a list')}` });
+    } else {
+      values[field] = value;
+    }
+  }
+
+  return { errors, values };
+}
+
+module.exports = {
+  routeSchemas,
+  badgeOptionsSchema,
+  splitList,
+  validateQuery,
+  validateBody
+};
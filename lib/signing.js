@@ -0,0 +1,80 @@
+// signing.js - HMAC-signed badge URLs and encrypted per-URL GitHub credentials
+const crypto = require('crypto');
+
+// Query parameters that are part of the signature machinery rather than badge options
+const SIGNATURE_PARAM = 'sig';
+const EXPIRES_PARAM = 'expires';
+const CREDENTIAL_PARAM = 'credential';
+
+// Helper function to derive independent keys for signing and encryption from one secret
+function deriveKey(secret, purpose) {
+  return crypto.createHash('sha256').update(`${purpose}:${secret}`).digest();
+}
+
+// Helper function to build the string that gets signed: path plus every parameter sorted by name
+function canonicalize(path, params) {
+  const entries = Object.entries(params)
+    .filter(([name]) => name !== SIGNATURE_PARAM)
+    .map(([name, value]) => [name, String(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+
+  return `${path}?${new URLSearchParams(entries)}`;
+}
+
+function sign(path, params, secret) {
+  return crypto.createHmac('sha256', deriveKey(secret, 'sign')).update(canonicalize(path, params)).digest('base64url');
+}
+
+// Sign `params` (which must include `expires`) for `path`, returns the params with `sig` added
+function signParams(path, params, secret) {
+  return { ...params, [SIGNATURE_PARAM]: sign(path, params, secret) };
+}
+
+// Check a signed request. Returns an error message, or null when the signature is valid and unexpired.
+function verifyParams(path, params, secret) {
+  const expected = Buffer.from(sign(path, params, secret));
+  const given = Buffer.from(String(params[SIGNATURE_PARAM] || ''));
+
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return 'Invalid signature';
+  }
+
+  const expires = parseInt(params[EXPIRES_PARAM]);
+  if (Number.isNaN(expires) || expires * 1000 <= Date.now()) {
+    return 'Signed URL has expired';
+  }
+
+  return null;
+}
+
+// Encrypt a GitHub token so it can travel inside a signed URL (AES-256-GCM, base64url)
+function encryptCredential(token, secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(secret, 'credential'), iv);
+  const encrypted = Buffer.concat([cipher.update(token, 'utf8'), cipher.final()]);
+
+  return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+}
+
+// Decrypt a credential created by encryptCredential, returns null when it was tampered with
+function decryptCredential(blob, secret) {
+  try {
+    const data = Buffer.from(blob, 'base64url');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(secret, 'credential'), data.subarray(0, 12));
+    decipher.setAuthTag(data.subarray(12, 28));
+
+    return Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]).toString('utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  SIGNATURE_PARAM,
+  EXPIRES_PARAM,
+  CREDENTIAL_PARAM,
+  signParams,
+  verifyParams,
+  encryptCredential,
+  decryptCredential
+};
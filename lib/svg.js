@@ -0,0 +1,77 @@
+// svg.js - Escaping template tag for SVG markup. Interpolated values are escaped unless they are
+// markup built with the tag itself, so contributor data and request parameters stay text.
+
+// Characters XML 1.0 doesn't allow at all (e.g. control characters in git author names)
+const INVALID_XML_CHARACTERS = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]|[\ud800-\udbff](?![\udc00-\udfff])|(?<![\ud800-\udbff])[\udc00-\udfff]/g;
+
+// Avatars are embedded as data URLs, only raster images are accepted (SVG images could carry markup)
+const IMAGE_DATA_URL = /^data:image\/(?:png|jpeg|gif|webp|avif);base64,[A-Za-z0-9+/]+={0,2}$/;
+
+// Markup produced by the svg tag, interpolating it doesn't escape it again
+class SafeMarkup {
+  constructor(markup) {
+    this.markup = markup;
+  }
+
+  toString() {
+    return this.markup;
+  }
+}
+
+// Helper function to escape a value for SVG text and attribute values
+function escapeXml(value) {
+  return String(value)
+    .replace(INVALID_XML_CHARACTERS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Helper function to render an interpolated value: markup as is, lists joined, null/undefined/false dropped
+function renderValue(value) {
+  if (value === null || value === undefined || value === false) {
+    return '';
+  }
+
+  if (value instanceof SafeMarkup) {
+    return value.markup;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(renderValue).join('');
+  }
+
+  return escapeXml(value);
+}
+
+// Template tag: svg`<text x="${x}">${label}</text>` escapes `x` and `label`
+function svg(strings, ...values) {
+  return new SafeMarkup(strings.reduce((markup, string, index) => (
+    markup + string + (index < values.length ? renderValue(values[index]) : '')
+  ), ''));
+}
+
+// Helper function to accept only http(s) links, returns null for anything else (javascript:, data:...)
+function safeUrl(value) {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Helper function to accept only base64 raster image data URLs
+function safeImageData(value) {
+  return typeof value === 'string' && IMAGE_DATA_URL.test(value) ? value : null;
+}
+
+module.exports = {
+  SafeMarkup,
+  escapeXml,
+  svg,
+  safeUrl,
+  safeImageData
+};
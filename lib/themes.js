@@ -0,0 +1,116 @@
+// themes.js - Badge color themes, per-color overrides and the prefers-color-scheme "auto" theme
+
+const FONT_STACK = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+
+// Named presets. `hover` is derived from `accent` unless a preset sets it.
+const THEMES = {
+  light: { bg: '#ffffff', border: '#e1e4e8', text: '#586069', accent: '#0366d6', shadow: 'rgba(0,0,0,0.1)' },
+  dark: { bg: '#161b22', border: '#30363d', text: '#8b949e', accent: '#58a6ff', hover: 'rgba(56,139,253,0.1)', shadow: 'rgba(0,0,0,0.3)' },
+  'github-dimmed': { bg: '#22272e', border: '#444c56', text: '#adbac7', accent: '#539bf5', shadow: 'rgba(0,0,0,0.3)' },
+  'high-contrast': { bg: '#0a0c10', border: '#7a828e', text: '#f0f3f6', accent: '#71b7ff', shadow: 'rgba(0,0,0,0.4)' },
+  'high-contrast-light': { bg: '#ffffff', border: '#20252c', text: '#0e1116', accent: '#0349b4', shadow: 'rgba(0,0,0,0.2)' },
+  solarized: { bg: '#fdf6e3', border: '#eee8d5', text: '#657b83', accent: '#268bd2', shadow: 'rgba(0,0,0,0.1)' },
+  'solarized-dark': { bg: '#002b36', border: '#073642', text: '#839496', accent: '#268bd2', shadow: 'rgba(0,0,0,0.3)' },
+  dracula: { bg: '#282a36', border: '#44475a', text: '#f8f8f2', accent: '#bd93f9', shadow: 'rgba(0,0,0,0.3)' },
+  nord: { bg: '#2e3440', border: '#4c566a', text: '#d8dee9', accent: '#88c0d0', shadow: 'rgba(0,0,0,0.3)' }
+};
+
+// "auto" follows the viewer's color scheme, e.g. GitHub's light and dark modes
+const AUTO_THEME = { light: 'light', dark: 'dark' };
+
+const THEME_NAMES = [...Object.keys(THEMES), 'auto'];
+const COLOR_OVERRIDES = ['bg', 'text', 'border', 'accent'];
+
+// Helper function to normalize a hex color given with or without "#" (3, 4, 6 or 8 digits)
+function parseHexColor(value) {
+  const match = String(value).trim().match(/^#?([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i);
+  return match ? `#${match[1].toLowerCase()}` : null;
+}
+
+// Helper function to turn a hex color into a translucent rgba() color
+function withAlpha(hex, alpha) {
+  let digits = hex.slice(1);
+
+  if (digits.length <= 4) {
+    digits = digits.split('').map(digit => digit + digit).join('');
+  }
+
+  const [r, g, b] = [0, 2, 4].map(offset => parseInt(digits.slice(offset, offset + 2), 16));
+  return `rgba(${r},${g},${b},${alpha})`;
+}
+
+// Helper function to complete a preset with overrides and the colors derived from them
+function buildColors(preset, overrides) {
+  const colors = { fallbackText: '#ffffff', ...preset, ...overrides };
+
+  if (overrides.accent || !preset.hover) {
+    colors.hover = withAlpha(colors.accent, 0.1);
+  }
+
+  return colors;
+}
+
+// Resolve the theme and color parameters of a badge request.
+// Returns { theme } with theme = { name, colors, darkColors } (darkColors only for "auto"), or { error }.
+function resolveTheme({ theme = 'light', bg, text, border, accent } = {}) {
+  const name = String(theme).toLowerCase();
+
+  if (!THEME_NAMES.includes(name)) {
+    return { error: `Theme must be one of ${THEME_NAMES.map(themeName => `"${themeName}"`).join(', ')}` };
+  }
+
+  const overrides = {};
+  for (const [key, value] of Object.entries({ bg, text, border, accent })) {
+    if (value === undefined || value === '') {
+      continue;
+    }
+
+    const color = parseHexColor(value);
+    if (!color) {
+      return { error: `${key} must be a hex color such as "0366d6"` };
+    }
+    overrides[key] = color;
+  }
+
+  if (name === 'auto') {
+    return {
+      theme: {
+        name,
+        colors: buildColors(THEMES[AUTO_THEME.light], overrides),
+        darkColors: buildColors(THEMES[AUTO_THEME.dark], overrides)
+      }
+    };
+  }
+
+  return { theme: { name, colors: buildColors(THEMES[name], overrides), darkColors: null } };
+}
+
+// CSS that switches an "auto" badge to its dark colors. CSS rules win over the fill/stroke
+// attributes the badge is drawn with, so only the colored elements need class names.
+function colorSchemeStyles(theme) {
+  if (!theme.darkColors) {
+    return '';
+  }
+
+  const colors = theme.darkColors;
+  return `
+        @media (prefers-color-scheme: dark) {
+          .badge-bg { fill: ${colors.bg}; stroke: ${colors.border}; }
+          .avatar-border, .more-bubble, .podium-step, .bar-track { fill: ${colors.border}; }
+          .avatar-ring { fill: ${colors.bg}; }
+          .contribution-bar, .more-link { fill: ${colors.accent}; }
+          .username, .badge-text { fill: ${colors.text}; }
+          .contributor:hover .avatar-hover { fill: ${colors.hover}; }
+          .contributor:hover .username { fill: ${colors.accent}; }
+          .contributor:hover .avatar-border, .contributor:hover .avatar-ring { stroke: ${colors.accent}; }
+        }`;
+}
+
+module.exports = {
+  FONT_STACK,
+  THEMES,
+  THEME_NAMES,
+  COLOR_OVERRIDES,
+  resolveTheme,
+  colorSchemeStyles
+};
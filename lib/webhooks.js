@@ -0,0 +1,51 @@
+// webhooks.js - GitHub webhook signature checks and the events that change a repository's contributors
+const crypto = require('crypto');
+
+// Check the X-Hub-Signature-256 header ("sha256=<hex HMAC of the raw body>") of a delivery
+function verifyWebhookSignature(body, header, secret) {
+  const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`);
+  const given = Buffer.from(String(header || ''));
+
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Find the repository whose contributors an event may have changed.
+// Returns { repo, host, isPrivate } or { ignored } with the reason the event doesn't matter.
+function webhookRepository(event, payload) {
+  const repository = payload && payload.repository;
+
+  if (!repository || typeof repository.full_name !== 'string' || typeof repository.html_url !== 'string') {
+    return { ignored: 'No repository in payload' };
+  }
+
+  if (event === 'push') {
+    // Contributor counts only cover the default branch
+    if (payload.ref !== `refs/heads/${repository.default_branch}`) {
+      return { ignored: `Push to ${payload.ref}, not the default branch` };
+    }
+  } else if (event === 'pull_request') {
+    if (payload.action !== 'closed' || !payload.pull_request || !payload.pull_request.merged) {
+      return { ignored: 'Pull request was not merged' };
+    }
+    if (payload.pull_request.base && payload.pull_request.base.ref !== repository.default_branch) {
+      return { ignored: `Pull request was merged into ${payload.pull_request.base.ref}, not the default branch` };
+    }
+  } else {
+    return { ignored: `Event "${event}" is not handled` };
+  }
+
+  try {
+    return {
+      repo: repository.full_name,
+      host: new URL(repository.html_url).host.toLowerCase(),
+      isPrivate: Boolean(repository.private)
+    };
+  } catch (error) {
+    return { ignored: 'Invalid repository URL' };
+  }
+}
+
+module.exports = {
+  verifyWebhookSignature,
+  webhookRepository
+};
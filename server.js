@@ -1,34 +1,152 @@
 // enhanced-server.js - Complete GitHub Contributors Badge Service (Avatar Loading Fixed)
 const express = require('express');
 const axios = require('axios');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { CONTENT_TYPES, rasterizeSVG } = require('./lib/raster');
+const { FONT_STACK, resolveTheme, colorSchemeStyles } = require('./lib/themes');
+const { MAX_BADGE_WIDTH, MAX_BADGE_HEIGHT, measureText, truncateLabel, resolveLayout } = require('./lib/layout');
+const { svg, safeUrl, safeImageData } = require('./lib/svg');
+const { AvatarStore, avatarPixels } = require('./lib/avatars');
+const { routeSchemas, badgeOptionsSchema, splitList, validateQuery, validateBody } = require('./lib/schema');
+const { openApiDocument } = require('./lib/openapi');
+const { builderHTML } = require('./lib/builder');
+const { createCache, MemoryCache } = require('./lib/cache');
+const { createCredentialPool } = require('./lib/credentials');
+const { createProviders, resolveProvider } = require('./lib/providers');
+const { ALL_CONTRIBUTORS_TYPES, AllContributorsConfigError, parseAllContributorsConfig } = require('./lib/allcontributors');
+const {
+  SIGNATURE_PARAM,
+  EXPIRES_PARAM,
+  CREDENTIAL_PARAM,
+  signParams,
+  verifyParams,
+  encryptCredential,
+  decryptCredential
+} = require('./lib/signing');
+const { verifyWebhookSignature, webhookRepository } = require('./lib/webhooks');
+const {
+  GitHubClient,
+  GitHubError,
+  NotFoundError,
+  RateLimitError,
+  HistoryTooLargeError,
+  ComputingError
+} = require('./lib/github');
 const app = express();
 
-// Cache for storing contributor data
-const cache = new Map();
-const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+// Helper function to read a duration given in seconds from the environment (in ms)
+function envSeconds(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return (Number.isNaN(value) ? fallback : value) * 1000;
+}
+
+// Cache for storing contributor data (backend chosen by CACHE_BACKEND)
+const cache = createCache();
+const CACHE_DURATION = envSeconds('CACHE_TTL', 300); // 5 minutes by default
+// Expired entries are served while a background refresh runs for this long...
+const STALE_WHILE_REVALIDATE = envSeconds('CACHE_STALE_WHILE_REVALIDATE', 3600); // 1 hour
+// ...and are kept as a fallback for failed GitHub calls for this long
+const MAX_STALE = envSeconds('CACHE_MAX_STALE', 86400); // 24 hours
+const STALE_MAX_AGE = 60; // Cache-Control max-age (seconds) for stale responses
+// Most recent commits scanned for commit-author fallbacks and Co-authored-by trailers
+const COMMIT_SCAN_MAX_COMMITS = 1000;
+// Commits scanned for time-windowed badges (since/until)
+const WINDOW_MAX_COMMITS = 5000;
+// Issues, comments and pull requests scanned at most for the contribution-type breakdown
+const ACTIVITY_MAX_ITEMS = 1000;
+const ACTIVITY_MAX_PULLS = 100;
+// Contribution types that can be credited with `types=` (emoji follow all-contributors)
+const CONTRIBUTION_TYPES = {
+  code: { emoji: '💻', label: 'Code' },
+  doc: { emoji: '📖', label: 'Documentation' },
+  review: { emoji: '👀', label: 'Reviewed Pull Requests' },
+  issue: { emoji: '🐛', label: 'Issues' },
+  comment: { emoji: '💬', label: 'Pull Request Comments' }
+};
+// Emoji markers for computed types and types listed in .all-contributorsrc files
+const TYPE_MARKERS = { ...CONTRIBUTION_TYPES, ...ALL_CONTRIBUTORS_TYPES };
+const MAX_TYPE_MARKERS = 5;
+// Repositories merged at most by the org/multi-repo aggregate endpoints
+const AGGREGATE_MAX_REPOS = 100;
+// Repositories listed at most in one POST /batch request
+const BATCH_MAX_REPOS = 10;
+// How long GitHub ETags (and the responses they validate) are kept for conditional requests
+const UPSTREAM_VALIDATOR_TTL = envSeconds('CACHE_VALIDATOR_TTL', 7 * 86400); // 7 days
+// Avatar thumbnails are shared by every badge and kept this long
+const AVATAR_CACHE_TTL = envSeconds('AVATAR_CACHE_TTL', 86400); // 1 day
+// Avatar bytes embedded in one badge at most, further contributors get their initial instead
+const AVATAR_EMBED_BUDGET = parseInt(process.env.AVATAR_EMBED_BUDGET) || 4 * 1024 * 1024;
+// Avatars looked up at once while embedding, the budget is checked between batches
+const AVATAR_EMBED_BATCH = 50;
 
 // GitHub API configuration
 const GITHUB_API_BASE = 'https://api.github.com';
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
+// Tokens from GITHUB_TOKEN/GITHUB_TOKENS plus any GitHub App installations (GITHUB_APP_*)
+const credentials = createCredentialPool(process.env, { apiBase: GITHUB_API_BASE });
+const github = new GitHubClient({
+  apiBase: GITHUB_API_BASE,
+  credentials,
+  cache,
+  validatorTtl: UPSTREAM_VALIDATOR_TTL
+});
 
-// Helper function to convert image to base64 (for reliable avatar loading)
-async function getBase64Avatar(avatarUrl) {
-  try {
-    const response = await axios.get(avatarUrl, {
-      responseType: 'arraybuffer',
-      timeout: 5000,
-      headers: {
-        'User-Agent': 'GitHub-Contributors-Badge-Service'
-      }
-    });
-    
-    const base64 = Buffer.from(response.data).toString('base64');
-    const contentType = response.headers['content-type'] || 'image/png';
-    return `data:${contentType};base64,${base64}`;
-  } catch (error) {
-    console.warn('Failed to load avatar:', avatarUrl, error.message);
-    return null;
-  }
+// Avatar thumbnails get their own LRU, so a badge with thousands of contributors can't push
+// contributor lists and GitHub validators out of the main cache
+const avatarCache = new MemoryCache({
+  maxEntries: parseInt(process.env.AVATAR_CACHE_MAX_ENTRIES) || 10000,
+  maxBytes: parseInt(process.env.AVATAR_CACHE_MAX_BYTES) || 32 * 1024 * 1024
+});
+
+// github.com plus GitHub Enterprise Server, GitLab and Gitea hosts (GHES_URL, GITLAB_URL, GITEA_URL)
+const providers = createProviders(process.env, {
+  github,
+  credentials,
+  cache,
+  validatorTtl: UPSTREAM_VALIDATOR_TTL,
+  maxCommits: COMMIT_SCAN_MAX_COMMITS
+});
+
+// Resized avatars, downloaded at most AVATAR_CONCURRENCY at a time and only from the providers'
+// hosts (GHES may serve them from an avatars. subdomain) and the usual avatar CDNs
+const avatars = new AvatarStore({
+  cache: avatarCache,
+  ttl: AVATAR_CACHE_TTL,
+  hosts: providers.flatMap(provider => [provider.host, `avatars.${provider.host}`]),
+  concurrency: parseInt(process.env.AVATAR_CONCURRENCY) || 8
+});
+
+// Signed badge URLs for private repositories (see POST /tokens)
+const BADGE_SIGNING_SECRET = process.env.BADGE_SIGNING_SECRET || null;
+const TOKENS_API_KEY = process.env.TOKENS_API_KEY || null;
+const SIGNED_URL_DEFAULT_TTL = 30 * 86400; // seconds
+const SIGNED_URL_MAX_TTL = 365 * 86400;
+// Routes a signed URL can be created for
+const SIGNABLE_ROUTES = ['/badge', '/badge/all', '/badge/fast', '/badge/custom', '/stats'];
+
+// GitHub webhooks (see POST /webhook/github): deliveries must be signed with this secret
+const GITHUB_WEBHOOK_SECRET = process.env.GITHUB_WEBHOOK_SECRET || null;
+// Fetch a repository's badge data again right after a webhook invalidated it
+const WEBHOOK_PREWARM = process.env.WEBHOOK_PREWARM === 'true';
+
+// Who a request acts as and against which provider: unsigned requests only ever see public
+// repositories, signed ones get the API client their URL grants and a cache partition of their own
+const PUBLIC_ACCESS = { signed: false, provider: providers[0], client: github, cachePrefix: '' };
+const requestAccess = new AsyncLocalStorage();
+
+// Helper function to get the access of the request being handled
+function currentAccess() {
+  return requestAccess.getStore() || PUBLIC_ACCESS;
+}
+
+// Helper function to get the API client (of the selected provider) for the request being handled
+function apiClient() {
+  return currentAccess().client;
+}
+
+// Helper function to hash rendered content (cache keys and ETags)
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
 }
 
 // Helper function to generate avatar pattern fallback
@@ -49,308 +167,842 @@ function generateAvatarPattern(username, index) {
   };
 }
 
-// Helper function to get limited contributors from GitHub API
-async function getContributors(repo, limit = 10, includeAvatars = true) {
-  const cacheKey = `${repo}-${limit}-${includeAvatars}`;
-  const cached = cache.get(cacheKey);
-  
-  if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-    return cached.data;
+// In-flight fetches by cache key, so concurrent misses and refreshes share one GitHub call
+const pendingFetches = new Map();
+
+// Helper function to run a fetch once per cache key and store its result
+function refreshCacheEntry(cacheKey, fetcher) {
+  if (pendingFetches.has(cacheKey)) {
+    return pendingFetches.get(cacheKey);
+  }
+
+  const pending = (async () => {
+    try {
+      const data = await fetcher();
+      await cache.set(cacheKey, {
+        data,
+        timestamp: Date.now()
+      }, CACHE_DURATION + Math.max(STALE_WHILE_REVALIDATE, MAX_STALE));
+      return data;
+    } finally {
+      pendingFetches.delete(cacheKey);
+    }
+  })();
+
+  pendingFetches.set(cacheKey, pending);
+  return pending;
+}
+
+// Helper function implementing stale-while-revalidate and stale-if-error on top of the cache.
+// Resolves to { data, status, age } where status is "hit", "miss", "stale" or "stale-if-error".
+async function cachedFetch(key, fetcher) {
+  // Private data lives in its own partition and is never served to unsigned requests
+  const cacheKey = currentAccess().cachePrefix + key;
+  const cached = await cache.get(cacheKey);
+  const age = cached ? Date.now() - cached.timestamp : 0;
+
+  if (cached && age < CACHE_DURATION) {
+    return { data: cached.data, status: 'hit', age };
+  }
+
+  if (cached && age < CACHE_DURATION + STALE_WHILE_REVALIDATE) {
+    refreshCacheEntry(cacheKey, fetcher).catch(error => {
+      console.warn(`Background refresh failed for ${cacheKey}:`, error.message);
+    });
+    return { data: cached.data, status: 'stale', age };
   }
 
   try {
-    const headers = {
-      'User-Agent': 'GitHub-Contributors-Badge-Service',
-      'Accept': 'application/vnd.github.v3+json'
-    };
+    const data = await refreshCacheEntry(cacheKey, fetcher);
+    return { data, status: 'miss', age: 0 };
+  } catch (error) {
+    if (cached && age < CACHE_DURATION + MAX_STALE) {
+      console.warn(`Serving stale data for ${cacheKey}:`, error.message);
+      return { data: cached.data, status: 'stale-if-error', age };
+    }
+    throw error;
+  }
+}
+
+// Helper function to build the cache key of a repository's data. Repository names can't contain
+// ":", so the keys of one repository can be told apart from those of e.g. "owner/repo-2".
+function repoCacheKey(repo, suffix) {
+  return `${repo}:${suffix}`;
+}
 
-    if (GITHUB_TOKEN) {
-      headers['Authorization'] = `token ${GITHUB_TOKEN}`;
+// Helper function to build the cache key suffix for contributor list options
+function listOptionsKey({ anon = false, coauthors = false, excludeBots = false, exclude = [], include = [], since, until, types = [], source = 'api', merge = false } = {}) {
+  return [
+    source !== 'api' ? `-source:${source}${merge ? '+merge' : ''}` : '',
+    since ? `-since:${since}` : '',
+    until ? `-until:${until}` : '',
+    anon ? '-anon' : '',
+    coauthors ? '-coauthors' : '',
+    excludeBots ? '-nobots' : '',
+    exclude.length ? `-exclude:${[...exclude].sort().join(',')}` : '',
+    include.length ? `-include:${[...include].sort().join(',')}` : '',
+    types.length ? `-types:${[...types].sort().join(',')}` : ''
+  ].join('');
+}
+
+// Helper function to detect bot accounts (dependabot[bot], renovate[bot], github-actions[bot]...)
+function isBot(contributor) {
+  return contributor.type === 'Bot' || /\[bot\]$/i.test(contributor.login || '');
+}
+
+// Helper function to apply bot filtering and include/exclude lists (matched case-insensitively
+// against the login, or the name for anonymous contributors)
+function filterContributors(contributors, { excludeBots = false, exclude = [], include = [] } = {}) {
+  return contributors.filter(contributor => {
+    const key = (contributor.login || contributor.name || '').toLowerCase();
+
+    if (excludeBots && isBot(contributor)) {
+      return false;
     }
+    if (exclude.includes(key)) {
+      return false;
+    }
+    return include.length === 0 || include.includes(key);
+  });
+}
 
-    const response = await axios.get(`${GITHUB_API_BASE}/repos/${repo}/contributors`, {
-      params: { per_page: Math.min(limit, 100) },
-      headers,
-      timeout: 10000
-    });
+// Helper function to get limited contributors (cached).
+// Resolves to { data, source, status, age } - see cachedFetch and fetchContributorList.
+// Options: anon (include contributors without a GitHub account), coauthors (credit Co-authored-by trailers)
+async function getContributors(repo, limit = 10, options = {}) {
+  const cacheKey = repoCacheKey(repo, `${limit}${listOptionsKey(options)}`);
+  const result = await cachedFetch(cacheKey, () => fetchContributors(repo, limit, options));
+  return { ...result, data: result.data.contributors, source: result.data.source, window: result.data.window };
+}
 
-    const contributors = await Promise.all(
-      response.data.map(async (contributor, index) => {
-        let avatarData = null;
-        
-        if (includeAvatars) {
-          avatarData = await getBase64Avatar(contributor.avatar_url);
-        }
-        
-        return {
-          login: contributor.login,
-          avatar_url: contributor.avatar_url,
-          avatar_base64: avatarData,
-          html_url: contributor.html_url,
-          contributions: contributor.contributions,
-          fallback: generateAvatarPattern(contributor.login, index)
-        };
-      })
-    );
+// Helper function to get ALL contributors (cached)
+async function getAllContributors(repo, options = {}) {
+  const cacheKey = repoCacheKey(repo, `all${listOptionsKey(options)}`);
+  const result = await cachedFetch(cacheKey, () => fetchAllContributors(repo, options));
+  return { ...result, data: result.data.contributors, source: result.data.source, window: result.data.window };
+}
 
-    cache.set(cacheKey, {
-      data: contributors,
-      timestamp: Date.now()
-    });
+// Helper function to turn a since/until value into an ISO timestamp.
+// Accepts dates ("2024-01-01", full ISO), relative windows ("90d", "12w", "6m", "1y") and tag/ref names.
+// A date without a time is the start of that day (UTC), or its end for the `end` of a window, so
+// until=2024-01-31 includes the commits of January 31.
+async function resolveWindowBound(repo, value, end = false) {
+  const relative = value.match(/^(\d+)([dwmy])$/);
+  if (relative) {
+    const days = parseInt(relative[1]) * { d: 1, w: 7, m: 30, y: 365 }[relative[2]];
+    return new Date(Date.now() - days * 86400000).toISOString();
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}/.test(value) && !Number.isNaN(Date.parse(value))) {
+    const date = new Date(value);
+    return new Date(end && /^\d{4}-\d{2}-\d{2}$/.test(value) ? date.getTime() + 86400000 - 1 : date).toISOString();
+  }
 
-    return contributors;
+  try {
+    const response = await apiClient().get(`/repos/${repo}/commits/${encodeURIComponent(value)}`);
+    const commit = response.data && response.data.commit;
+    if (!commit || !commit.committer) {
+      throw new GitHubError(`Unknown date or ref "${value}"`, { status: 404, statusCode: 400 });
+    }
+    return commit.committer.date;
   } catch (error) {
-    console.error('Error fetching contributors:', error.message);
-    
-    if (error.response?.status === 404) {
-      throw new Error('Repository not found');
-    } else if (error.response?.status === 403) {
-      throw new Error('API rate limit exceeded');
-    } else if (error.response?.status === 401) {
-      throw new Error('Authentication failed');
-    } else {
-      throw new Error('Failed to fetch contributors');
+    if (error instanceof GitHubError && [404, 422].includes(error.status)) {
+      throw new GitHubError(`Unknown date or ref "${value}"`, { status: error.status, statusCode: 400 });
     }
+    throw error;
   }
 }
 
-// Helper function to get ALL contributors from GitHub API (pagination)
-async function getAllContributors(repo, includeAvatars = true) {
-  const cacheKey = `${repo}-all-${includeAvatars}`;
-  const cached = cache.get(cacheKey);
-  
-  if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-    return cached.data;
+// Helper function to resolve the since/until options, or null for all-time lists
+async function resolveWindow(repo, { since, until } = {}) {
+  if (!since && !until) {
+    return null;
   }
 
-  const allContributors = [];
-  let page = 1;
-  let hasMore = true;
+  return {
+    since: since ? await resolveWindowBound(repo, since) : null,
+    until: until ? await resolveWindowBound(repo, until, true) : null
+  };
+}
+
+// Helper function to fetch the most recent commits (up to COMMIT_SCAN_MAX_COMMITS),
+// or the commits inside a resolved { since, until } window (up to WINDOW_MAX_COMMITS)
+async function fetchRecentCommits(repo, window = null) {
+  const params = {};
+
+  if (window?.since) {
+    params.since = window.since;
+  }
+  if (window?.until) {
+    params.until = window.until;
+  }
 
   try {
-    const headers = {
-      'User-Agent': 'GitHub-Contributors-Badge-Service',
-      'Accept': 'application/vnd.github.v3+json'
-    };
+    return await apiClient().paginate(`/repos/${repo}/commits`, {
+      params,
+      maxPages: Math.ceil((window ? WINDOW_MAX_COMMITS : COMMIT_SCAN_MAX_COMMITS) / 100)
+    });
+  } catch (error) {
+    // 409 Conflict means the repository has no commits at all
+    if (error instanceof GitHubError && error.status === 409) {
+      return [];
+    }
+    throw error;
+  }
+}
+
+// Helper function to build a contributor list from the authors of recent commits.
+// Counts only cover the last COMMIT_SCAN_MAX_COMMITS commits (or the commits in `window`).
+async function fetchCommitAuthors(repo, anon = false, window = null) {
+  const commits = await fetchRecentCommits(repo, window);
+  const authors = new Map();
+
+  for (const commit of commits) {
+    const login = commit.author?.login;
 
-    if (GITHUB_TOKEN) {
-      headers['Authorization'] = `token ${GITHUB_TOKEN}`;
+    // Commits whose email isn't linked to a GitHub account have no `author`
+    if (!login && !anon) {
+      continue;
     }
 
-    while (hasMore) {
-      const response = await axios.get(`${GITHUB_API_BASE}/repos/${repo}/contributors`, {
-        params: { 
-          per_page: 100,
-          page: page
-        },
-        headers,
-        timeout: 10000
+    const key = login || `email:${commit.commit.author.email.toLowerCase()}`;
+    const existing = authors.get(key);
+
+    if (existing) {
+      existing.contributions++;
+    } else if (login) {
+      authors.set(key, { ...commit.author, contributions: 1 });
+    } else {
+      authors.set(key, {
+        type: 'Anonymous',
+        name: commit.commit.author.name,
+        email: commit.commit.author.email,
+        contributions: 1
       });
+    }
+  }
+
+  return Array.from(authors.values()).sort((a, b) => b.contributions - a.contributions);
+}
+
+// Helper function to count Co-authored-by trailers in recent commits, keyed by lowercased email
+async function fetchCoAuthors(repo, window = null) {
+  const commits = await fetchRecentCommits(repo, window);
+  const coAuthors = new Map();
+  const trailerPattern = /^co-authored-by:\s*(.*?)\s*<([^>]+)>\s*$/gim;
 
-      if (response.data.length === 0) {
-        hasMore = false;
+  for (const commit of commits) {
+    for (const [, name, email] of (commit.commit?.message || '').matchAll(trailerPattern)) {
+      const key = email.toLowerCase();
+      const existing = coAuthors.get(key);
+
+      if (existing) {
+        existing.contributions++;
       } else {
-        allContributors.push(...response.data);
-        page++;
+        coAuthors.set(key, { name: name || email, email, contributions: 1 });
+      }
+    }
+  }
+
+  return Array.from(coAuthors.values());
+}
+
+// Helper function to credit co-authors on top of the contributor list.
+// GitHub noreply addresses ("123+login@users.noreply.github.com") map to accounts;
+// other addresses only appear as anonymous contributors when `anon` is enabled.
+function mergeCoAuthors(contributors, coAuthors, anon) {
+  const merged = contributors.map(contributor => ({ ...contributor }));
+  const byLogin = new Map(merged.filter(c => c.login).map(c => [c.login.toLowerCase(), c]));
+  const byEmail = new Map(merged.filter(c => c.email).map(c => [c.email.toLowerCase(), c]));
+
+  for (const coAuthor of coAuthors) {
+    const login = coAuthor.email.match(/^(?:\d+\+)?([^@]+)@users\.noreply\.github\.com$/i)?.[1];
+    const existing = (login && byLogin.get(login.toLowerCase())) || byEmail.get(coAuthor.email.toLowerCase());
+
+    if (existing) {
+      existing.contributions += coAuthor.contributions;
+    } else if (login) {
+      const entry = {
+        login,
+        avatar_url: `https://avatars.githubusercontent.com/${login}`,
+        html_url: `https://github.com/${login}`,
+        contributions: coAuthor.contributions
+      };
+      merged.push(entry);
+      byLogin.set(login.toLowerCase(), entry);
+    } else if (anon) {
+      const entry = { type: 'Anonymous', ...coAuthor };
+      merged.push(entry);
+      byEmail.set(coAuthor.email.toLowerCase(), entry);
+    }
+  }
+
+  return merged.sort((a, b) => b.contributions - a.contributions);
+}
+
+// Helper function to tell whether an ISO timestamp falls inside a resolved { since, until } window
+function inWindow(timestamp, window) {
+  if (!window) {
+    return true;
+  }
+  return (!window.since || timestamp >= window.since) && (!window.until || timestamp <= window.until);
+}
+
+// Helper function to count non-commit activity per login for the requested contribution types.
+// Scans the most recent ACTIVITY_MAX_ITEMS issues/comments and the reviews on the last
+// ACTIVITY_MAX_PULLS pull requests. Resolves to a Map of lowercased login -> { user, counts }.
+async function fetchContributionTypes(repo, types, window = null) {
+  const activity = new Map();
+  const maxPages = Math.ceil(ACTIVITY_MAX_ITEMS / 100);
+  const since = window?.since ? { since: window.since } : {};
+
+  const credit = (user, type, amount = 1) => {
+    if (!user?.login) {
+      return;
+    }
+
+    const key = user.login.toLowerCase();
+    if (!activity.has(key)) {
+      activity.set(key, { user, counts: {} });
+    }
+
+    const counts = activity.get(key).counts;
+    counts[type] = (counts[type] || 0) + amount;
+  };
+
+  if (types.includes('doc')) {
+    // Conventional commit "docs:" prefixes are the cheapest documentation signal we have
+    for (const commit of await fetchRecentCommits(repo, window)) {
+      if (/^docs?(\([^)]*\))?!?:/i.test(commit.commit?.message || '')) {
+        credit(commit.author, 'doc');
       }
+    }
+  }
+
+  if (types.includes('issue')) {
+    const issues = await apiClient().paginate(`/repos/${repo}/issues`, {
+      params: { state: 'all', sort: 'created', direction: 'desc', ...since },
+      maxPages
+    });
 
-      if (page > 100) break;
-      await new Promise(resolve => setTimeout(resolve, 100));
+    for (const issue of issues) {
+      // The issues API lists pull requests too
+      if (!issue.pull_request && inWindow(issue.created_at, window)) {
+        credit(issue.user, 'issue');
+      }
     }
+  }
+
+  if (types.includes('comment')) {
+    const [issueComments, reviewComments] = await Promise.all([
+      apiClient().paginate(`/repos/${repo}/issues/comments`, {
+        params: { sort: 'created', direction: 'desc', ...since },
+        maxPages
+      }),
+      apiClient().paginate(`/repos/${repo}/pulls/comments`, {
+        params: { sort: 'created', direction: 'desc', ...since },
+        maxPages
+      })
+    ]);
 
-    // Process avatars in batches for better performance
-    const processedContributors = [];
+    for (const comment of issueComments) {
+      if (/\/pull\/\d+/.test(comment.html_url || '') && inWindow(comment.created_at, window)) {
+        credit(comment.user, 'comment');
+      }
+    }
+    for (const comment of reviewComments) {
+      if (inWindow(comment.created_at, window)) {
+        credit(comment.user, 'comment');
+      }
+    }
+  }
+
+  if (types.includes('review')) {
+    // There is no repository-wide reviews endpoint, so look at the most recently updated pull requests
+    const pulls = await apiClient().paginate(`/repos/${repo}/pulls`, {
+      params: { state: 'all', sort: 'updated', direction: 'desc' },
+      maxPages: Math.ceil(ACTIVITY_MAX_PULLS / 100),
+      perPage: Math.min(ACTIVITY_MAX_PULLS, 100)
+    });
     const batchSize = 10;
-    
-    for (let i = 0; i < allContributors.length; i += batchSize) {
-      const batch = allContributors.slice(i, i + batchSize);
-      
-      const processedBatch = await Promise.all(
-        batch.map(async (contributor, batchIndex) => {
-          const globalIndex = i + batchIndex;
-          let avatarData = null;
-          
-          if (includeAvatars && globalIndex < 50) { // Only load first 50 avatars for performance
-            avatarData = await getBase64Avatar(contributor.avatar_url);
+
+    for (let i = 0; i < pulls.length; i += batchSize) {
+      const batch = pulls.slice(i, i + batchSize);
+      const reviews = await Promise.all(batch.map(pull => apiClient().paginate(`/repos/${repo}/pulls/${pull.number}/reviews`)));
+
+      batch.forEach((pull, batchIndex) => {
+        // One review per reviewer and pull request, however many rounds it took
+        const reviewers = new Map();
+
+        for (const review of reviews[batchIndex]) {
+          if (review.user && review.user.login !== pull.user?.login && inWindow(review.submitted_at || '', window)) {
+            reviewers.set(review.user.login.toLowerCase(), review.user);
           }
-          
-          return {
-            login: contributor.login,
-            avatar_url: contributor.avatar_url,
-            avatar_base64: avatarData,
-            html_url: contributor.html_url,
-            contributions: contributor.contributions,
-            fallback: generateAvatarPattern(contributor.login, globalIndex)
-          };
-        })
-      );
-      
-      processedContributors.push(...processedBatch);
+        }
+        reviewers.forEach(user => credit(user, 'review'));
+      });
     }
+  }
 
-    cache.set(cacheKey, {
-      data: processedContributors,
-      timestamp: Date.now()
-    });
+  return activity;
+}
+
+// Helper function to attach the contribution-type breakdown to contributors.
+// People who only reviewed, commented or opened issues join the list with 0 commits,
+// and everyone is ranked by their total activity.
+function mergeContributionTypes(contributors, activity, types) {
+  const merged = contributors.map(contributor => {
+    const entry = activity.get((contributor.login || '').toLowerCase());
+    activity.delete((contributor.login || '').toLowerCase());
+
+    return {
+      ...contributor,
+      types: {
+        ...(types.includes('code') && contributor.contributions > 0 ? { code: contributor.contributions } : {}),
+        ...(entry ? entry.counts : {})
+      }
+    };
+  });
+
+  for (const { user, counts } of activity.values()) {
+    merged.push({ ...user, contributions: 0, types: counts });
+  }
+
+  const total = contributor => Object.entries(contributor.types)
+    .reduce((sum, [type, count]) => sum + (type === 'code' ? 0 : count), contributor.contributions || 0);
 
-    return processedContributors;
+  return merged.sort((a, b) => total(b) - total(a));
+}
+
+// Helper function to fetch and parse .all-contributorsrc from the repository's default branch
+async function fetchAllContributorsConfig(repo) {
+  let response;
+
+  try {
+    response = await apiClient().get(`/repos/${repo}/contents/.all-contributorsrc`);
   } catch (error) {
-    console.error('Error fetching all contributors:', error.message);
-    
-    if (error.response?.status === 404) {
-      throw new Error('Repository not found');
-    } else if (error.response?.status === 403) {
-      throw new Error('API rate limit exceeded');
-    } else if (error.response?.status === 401) {
-      throw new Error('Authentication failed');
-    } else {
-      throw new Error('Failed to fetch contributors');
+    if (error instanceof GitHubError && error.status === 404) {
+      throw new GitHubError('Repository or .all-contributorsrc not found', { status: 404, statusCode: 404 });
     }
+    throw error;
   }
+
+  // Files over 1 MB come back without inline content
+  if (response.data.encoding !== 'base64') {
+    throw new AllContributorsConfigError('.all-contributorsrc is too large', [{ path: '', message: 'files over 1 MB are not supported' }]);
+  }
+
+  return parseAllContributorsConfig(Buffer.from(response.data.content, 'base64').toString('utf8'));
 }
 
-// Helper function to generate SVG badge with reliable avatar loading
-function generateSVGBadge(contributors, style = 'horizontal', theme = 'light') {
-  const avatarSize = 40;
-  const padding = 12;
-  const usernameHeight = 16;
-  const spacing = 6;
-  const minItemWidth = 70;
-  
-  const themes = {
-    light: {
-      bg: '#ffffff',
-      border: '#e1e4e8',
-      text: '#586069',
-      shadow: 'rgba(0,0,0,0.1)',
-      hover: 'rgba(3,102,214,0.1)',
-      fallbackText: '#ffffff'
-    },
-    dark: {
-      bg: '#161b22',
-      border: '#30363d',
-      text: '#8b949e',
-      shadow: 'rgba(0,0,0,0.3)',
-      hover: 'rgba(56,139,253,0.1)',
-      fallbackText: '#ffffff'
+// Helper function to combine .all-contributorsrc entries with the API contributor list.
+// File entries keep their order, links and types (plus commit counts when matched), and API
+// contributors missing from the file follow in their usual order.
+function mergeAllContributorsConfig(entries, apiContributors) {
+  const byLogin = new Map(apiContributors.filter(c => c.login).map(c => [c.login.toLowerCase(), c]));
+  const listed = new Set();
+
+  const merged = entries.map(entry => {
+    const key = (entry.login || '').toLowerCase();
+    const match = byLogin.get(key);
+
+    if (!match) {
+      return toConfigContributor(entry);
     }
+
+    listed.add(key);
+    return {
+      ...match,
+      name: entry.name || match.name,
+      avatar_url: entry.avatar_url || match.avatar_url,
+      html_url: entry.html_url || match.html_url,
+      types: { ...entry.types, ...match.types }
+    };
+  });
+
+  return [...merged, ...apiContributors.filter(c => !listed.has((c.login || '').toLowerCase()))];
+}
+
+// Helper function to turn an .all-contributorsrc entry into a raw contributor.
+// Entries without a login (non-GitHub contributors) are shown by name like anonymous ones.
+// The file has no commit counts, so their contributions are unknown (null) rather than 0.
+function toConfigContributor(entry) {
+  return {
+    type: entry.login ? 'User' : 'Anonymous',
+    login: entry.login,
+    name: entry.name,
+    avatar_url: entry.avatar_url,
+    html_url: entry.html_url,
+    contributions: null,
+    types: entry.types
   };
-  
-  const colors = themes[theme] || themes.light;
-  
-  let width, height;
-  let contributorElements = '';
-  let defs = '';
-
-  if (style === 'grid') {
-    const cols = Math.ceil(Math.sqrt(contributors.length));
-    const rows = Math.ceil(contributors.length / cols);
-    const itemWidth = Math.max(avatarSize + padding, minItemWidth);
-    const itemHeight = avatarSize + usernameHeight + spacing + padding;
-    
-    width = cols * itemWidth + padding;
-    height = rows * itemHeight + padding;
-
-    contributors.forEach((contributor, index) => {
-      const col = index % cols;
-      const row = Math.floor(index / cols);
-      const x = col * itemWidth + padding;
-      const y = row * itemHeight + padding;
-      
-      const maxUsernameLength = 8;
-      const displayName = contributor.login.length > maxUsernameLength 
-        ? contributor.login.substring(0, maxUsernameLength) + '...'
-        : contributor.login;
-
-      // Create avatar element - use base64 if available, otherwise fallback to pattern
-      let avatarElement;
-      if (contributor.avatar_base64) {
-        avatarElement = `
-          <image href="${contributor.avatar_base64}" x="${x}" y="${y}" width="${avatarSize}" height="${avatarSize}" clip-path="url(#clip${index})" class="avatar-image"/>
-        `;
+}
+
+// Helper function to list contributors from .all-contributorsrc (source=allcontributors),
+// optionally merged with the API list. Resolves like fetchContributorList.
+async function fetchConfiguredContributorList(repo, limit, options) {
+  const entries = await fetchAllContributorsConfig(repo);
+  let contributors = entries.map(toConfigContributor);
+  let source = 'allcontributors';
+  let window = null;
+
+  if (options.merge) {
+    const api = await fetchContributorList(repo, null, { ...options, source: 'api' });
+    contributors = mergeAllContributorsConfig(entries, api.contributors);
+    source = `allcontributors+${api.source}`;
+    window = api.window;
+  }
+
+  contributors = filterContributors(contributors, options);
+
+  return { contributors: limit ? contributors.slice(0, limit) : contributors, source, window };
+}
+
+// Helper function to make sure unsigned requests can't read private repositories through
+// the server's own credentials. Private repositories look exactly like missing ones.
+async function assertRepositoryAccess(repo) {
+  const { signed, provider } = currentAccess();
+
+  if (signed || provider.credentials.size === 0) {
+    return;
+  }
+
+  const info = await provider.getRepoInfo(provider.client, repo);
+  if (info.private) {
+    throw new NotFoundError();
+  }
+}
+
+// Helper function to list contributors from GitLab/Gitea providers, which only support
+// the basic list plus filters. Resolves like fetchContributorList.
+async function fetchProviderContributorList(provider, repo, limit, options) {
+  const { contributors, source } = await provider.listContributors(apiClient(), repo, options);
+  const filtered = filterContributors(contributors, options);
+
+  if (contributors.length === 0) {
+    return { contributors: [], source: 'empty', window: null };
+  }
+
+  return { contributors: limit ? filtered.slice(0, limit) : filtered, source, window: null };
+}
+
+// Helper function to list raw contributors, handling GitHub's special responses:
+// 204 for empty repositories, 202 while statistics are computed, and 403 when the
+// history is too large (falls back to commit authors).
+// With since/until options the list is computed from the commits inside that window.
+// Resolves to { contributors, source, window } where source is "contributors", "commits" or "empty".
+async function fetchContributorList(repo, limit = null, options = {}) {
+  await assertRepositoryAccess(repo);
+
+  const { provider } = currentAccess();
+  if (!provider.githubApi) {
+    return fetchProviderContributorList(provider, repo, limit, options);
+  }
+
+  if (options.source === 'allcontributors') {
+    return fetchConfiguredContributorList(repo, limit, options);
+  }
+
+  const { anon = false, coauthors = false, types = [] } = options;
+  let contributors;
+  let source = 'contributors';
+  const params = anon ? { anon: 1 } : {};
+  // Filters drop entries, co-authors and contribution types can reorder them, so the limit is applied afterwards
+  const limitAfterProcessing = coauthors || types.length || options.excludeBots || options.exclude?.length || options.include?.length;
+  const window = await resolveWindow(repo, options);
+
+  if (window) {
+    // The contributors API only knows all-time totals, so windows are counted from commit history
+    contributors = await fetchCommitAuthors(repo, anon, window);
+    source = 'commits';
+  } else {
+    try {
+      if (limit && !limitAfterProcessing) {
+        const response = await apiClient().get(`/repos/${repo}/contributors`, {
+          params: { ...params, per_page: Math.min(limit, 100) }
+        });
+        contributors = response.data;
+      } else if (limit) {
+        // Keep fetching pages until enough contributors survive the filters
+        contributors = await apiClient().paginate(`/repos/${repo}/contributors`, {
+          params,
+          until: items => filterContributors(items, options).length >= limit
+        });
       } else {
-        // Fallback to colored circle with initial
-        avatarElement = `
-          <circle cx="${x + avatarSize/2}" cy="${y + avatarSize/2}" r="${avatarSize/2}" fill="${contributor.fallback.color}" class="avatar-fallback"/>
-          <text x="${x + avatarSize/2}" y="${y + avatarSize/2 + 5}" text-anchor="middle" font-family="-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif" font-size="18" font-weight="bold" fill="${colors.fallbackText}" class="avatar-initial">${contributor.fallback.initial}</text>
-        `;
+        contributors = await apiClient().paginate(`/repos/${repo}/contributors`, { params });
+      }
+    } catch (error) {
+      if (!(error instanceof HistoryTooLargeError || error instanceof ComputingError)) {
+        throw error;
       }
 
-      contributorElements += `
-        <g class="contributor" data-username="${contributor.login}">
-          <a href="${contributor.html_url}" target="_blank">
-            <circle cx="${x + avatarSize/2}" cy="${y + avatarSize/2}" r="${avatarSize/2 + 2}" fill="${colors.border}" class="avatar-border"/>
-            <circle cx="${x + avatarSize/2}" cy="${y + avatarSize/2}" r="${avatarSize/2}" fill="transparent" class="avatar-hover"/>
-            ${avatarElement}
-            <text x="${x + avatarSize/2}" y="${y + avatarSize + spacing + 12}" text-anchor="middle" font-family="-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif" font-size="11" fill="${colors.text}" class="username">${displayName}</text>
-          </a>
-        </g>
-      `;
+      console.warn(`Contributors API unavailable for ${repo} (${error.message}), using commit authors`);
+      contributors = await fetchCommitAuthors(repo, anon);
+      source = 'commits';
+    }
+  }
+
+  // 204 No Content arrives as an empty string body
+  if (!Array.isArray(contributors)) {
+    contributors = [];
+  }
+
+  if (coauthors && contributors.length > 0) {
+    contributors = mergeCoAuthors(contributors, await fetchCoAuthors(repo, window), anon);
+  }
+
+  if (types.length && contributors.length > 0) {
+    contributors = mergeContributionTypes(contributors, await fetchContributionTypes(repo, types, window), types);
+  }
+
+  const hasContributors = contributors.length > 0;
+  contributors = filterContributors(contributors, options);
+
+  // "empty" is reserved for repositories without any contributors, not for over-eager filters
+  if (!hasContributors) {
+    return { contributors: [], source: window ? source : 'empty', window };
+  }
+
+  return { contributors: limit ? contributors.slice(0, limit) : contributors, source, window };
+}
+
+// Helper function to shape a raw GitHub contributor for rendering (avatars are embedded per badge,
+// see embedAvatars). Anonymous contributors have a name instead of a login and no profile or avatar.
+function normalizeContributor(contributor, index) {
+  const anonymous = contributor.type === 'Anonymous';
+  const label = anonymous ? contributor.name : contributor.login;
+
+  return {
+    id: contributor.id || null,
+    login: anonymous ? null : contributor.login,
+    name: contributor.name || null,
+    anonymous,
+    avatar_url: contributor.avatar_url || null,
+    html_url: contributor.html_url || null,
+    contributions: contributor.contributions,
+    types: contributor.types || null,
+    fallback: generateAvatarPattern(label, index)
+  };
+}
+
+// Helper function to fetch limited contributors from GitHub API
+async function fetchContributors(repo, limit, options = {}) {
+  try {
+    const { contributors, source, window } = await fetchContributorList(repo, limit, options);
+    return { contributors: contributors.map(normalizeContributor), source, window };
+  } catch (error) {
+    console.error('Error fetching contributors:', error.message);
+    throw error;
+  }
+}
+
+// Helper function to fetch ALL contributors from GitHub API (pagination)
+async function fetchAllContributors(repo, options = {}) {
+  try {
+    const { contributors, source, window } = await fetchContributorList(repo, null, options);
+    return { contributors: contributors.map(normalizeContributor), source, window };
+  } catch (error) {
+    console.error('Error fetching all contributors:', error.message);
+    throw error;
+  }
+}
+
+// Helper function to embed avatar thumbnails sized for `layout` into a contributor list.
+// Thumbnails come from the avatar store in batches; once AVATAR_EMBED_BUDGET is spent no
+// more are requested and the remaining contributors keep their colored initial.
+async function embedAvatars(contributors, layout) {
+  const pixels = avatarPixels(layout.size);
+  const embedded = [...contributors];
+  let budget = AVATAR_EMBED_BUDGET;
+  let spent = false;
+
+  for (let start = 0; start < contributors.length && !spent; start += AVATAR_EMBED_BATCH) {
+    const batch = contributors.slice(start, start + AVATAR_EMBED_BATCH);
+    const thumbnails = await Promise.all(batch.map(contributor => (
+      contributor.avatar_url ? avatars.get(contributor.avatar_url, pixels) : null
+    )));
+
+    thumbnails.forEach((thumbnail, offset) => {
+      if (!thumbnail) {
+        return;
+      }
+
+      if (spent || thumbnail.length > budget) {
+        spent = true;
+        return;
+      }
+
+      budget -= thumbnail.length;
+      embedded[start + offset] = { ...batch[offset], avatar_base64: thumbnail };
     });
-  } else {
-    // Horizontal layout
-    const itemWidth = Math.max(avatarSize + padding, minItemWidth);
-    width = contributors.length * itemWidth + padding;
-    height = avatarSize + usernameHeight + spacing + padding * 2;
-
-    contributors.forEach((contributor, index) => {
-      const x = index * itemWidth + padding;
-      const y = padding;
-      
-      const maxUsernameLength = 8;
-      const displayName = contributor.login.length > maxUsernameLength 
-        ? contributor.login.substring(0, maxUsernameLength) + '...'
-        : contributor.login;
-
-      let avatarElement;
-      if (contributor.avatar_base64) {
-        avatarElement = `
-          <image href="${contributor.avatar_base64}" x="${x}" y="${y}" width="${avatarSize}" height="${avatarSize}" clip-path="url(#clip${index})" class="avatar-image"/>
-        `;
-      } else {
-        avatarElement = `
-          <circle cx="${x + avatarSize/2}" cy="${y + avatarSize/2}" r="${avatarSize/2}" fill="${contributor.fallback.color}" class="avatar-fallback"/>
-          <text x="${x + avatarSize/2}" y="${y + avatarSize/2 + 5}" text-anchor="middle" font-family="-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif" font-size="18" font-weight="bold" fill="${colors.fallbackText}" class="avatar-initial">${contributor.fallback.initial}</text>
-        `;
+  }
+
+  return embedded;
+}
+
+// Helper function to list an organization's (or user's) repositories for aggregate badges.
+// Forks and archived repositories are skipped unless requested.
+async function listOwnerRepos(owner, { includeForks = false, includeArchived = false } = {}) {
+  let repos;
+
+  try {
+    repos = await apiClient().paginate(`/orgs/${owner}/repos`, { params: { type: 'all' } });
+  } catch (error) {
+    if (!(error instanceof GitHubError && error.status === 404)) {
+      throw error;
+    }
+    // Not an organization, try a personal account
+    repos = await apiClient().paginate(`/users/${owner}/repos`, { params: { type: 'owner' } });
+  }
+
+  return repos
+    .filter(repo => (includeForks || !repo.fork) && (includeArchived || !repo.archived))
+    .filter(repo => currentAccess().signed || !repo.private)
+    .sort((a, b) => b.stargazers_count - a.stargazers_count)
+    .map(repo => repo.full_name);
+}
+
+// Helper function to get contributors merged across an org and/or a list of repositories (cached).
+// Resolves like getContributors plus `repositories` and `failed` (repos that could not be fetched).
+async function getAggregateContributors(selection, limit, options = {}) {
+  const target = [selection.org || '', ...selection.repos].join(',');
+  const flags = `${selection.includeForks ? '-forks' : ''}${selection.includeArchived ? '-archived' : ''}`;
+  const cacheKey = `aggregate:${target}:${flags}-${limit || 'all'}${listOptionsKey(options)}`;
+  const result = await cachedFetch(cacheKey, () => fetchAggregateContributors(selection, limit, options));
+
+  return {
+    ...result,
+    data: result.data.contributors,
+    source: result.data.source,
+    repositories: result.data.repositories,
+    failed: result.data.failed
+  };
+}
+
+// Helper function to merge contributors of several repositories, summing contributions per
+// account (deduplicated by GitHub user id) and counting the repositories each one touched
+async function fetchAggregateContributors(selection, limit, options = {}) {
+  const orgRepos = selection.org ? await listOwnerRepos(selection.org, selection) : [];
+  const repos = [...new Set([...orgRepos, ...selection.repos])].slice(0, AGGREGATE_MAX_REPOS);
+  const merged = new Map();
+  const failed = [];
+  const batchSize = 5;
+
+  for (let i = 0; i < repos.length; i += batchSize) {
+    const batch = repos.slice(i, i + batchSize);
+    const results = await Promise.allSettled(batch.map(repo => getAllContributors(repo, options)));
+
+    results.forEach((result, batchIndex) => {
+      if (result.status === 'rejected') {
+        failed.push({ repository: batch[batchIndex], error: result.reason.message });
+        return;
       }
 
-      contributorElements += `
-        <g class="contributor" data-username="${contributor.login}">
-          <a href="${contributor.html_url}" target="_blank">
-            <circle cx="${x + avatarSize/2}" cy="${y + avatarSize/2}" r="${avatarSize/2 + 2}" fill="${colors.border}" class="avatar-border"/>
-            <circle cx="${x + avatarSize/2}" cy="${y + avatarSize/2}" r="${avatarSize/2}" fill="transparent" class="avatar-hover"/>
-            ${avatarElement}
-            <text x="${x + avatarSize/2}" y="${y + avatarSize + spacing + 12}" text-anchor="middle" font-family="-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif" font-size="11" fill="${colors.text}" class="username">${displayName}</text>
-          </a>
-        </g>
-      `;
+      for (const contributor of result.value.data) {
+        const key = contributor.id
+          ? `id:${contributor.id}`
+          : `name:${(contributor.login || contributor.name).toLowerCase()}`;
+        const existing = merged.get(key);
+
+        if (existing) {
+          // Unknown counts (.all-contributorsrc only) add nothing, the total stays null if all are unknown
+          if (typeof contributor.contributions === 'number') {
+            existing.contributions = (existing.contributions || 0) + contributor.contributions;
+          }
+          existing.repositories++;
+          if (contributor.types) {
+            existing.types = existing.types || {};
+            for (const [type, count] of Object.entries(contributor.types)) {
+              existing.types[type] = (existing.types[type] || 0) + typeCount(count);
+            }
+          }
+        } else {
+          const types = contributor.types
+            ? Object.fromEntries(Object.entries(contributor.types).map(([type, count]) => [type, typeCount(count)]))
+            : null;
+          merged.set(key, { ...contributor, types, repositories: 1 });
+        }
+      }
     });
   }
 
-  // Generate clip paths for circular avatars
-  const clipPaths = contributors.map((contributor, index) => `
-    <clipPath id="clip${index}">
-      <circle cx="${avatarSize/2}" cy="${avatarSize/2}" r="${avatarSize/2}"/>
-    </clipPath>
-  `).join('');
-
-  defs = `
-    ${clipPaths}
-    <filter id="shadow">
-      <feDropShadow dx="0" dy="2" stdDeviation="3" flood-color="${colors.shadow}"/>
-    </filter>
-    <filter id="avatarShadow">
-      <feDropShadow dx="0" dy="1" stdDeviation="2" flood-color="${colors.shadow}"/>
-    </filter>
-  `;
+  if (repos.length > 0 && failed.length === repos.length) {
+    throw new GitHubError(`Failed to fetch contributors for all ${repos.length} repositories`, { statusCode: 502 });
+  }
+
+  const activity = contributor => Object.entries(contributor.types || {})
+    .reduce((sum, [type, count]) => sum + (type === 'code' ? 0 : count), contributor.contributions || 0);
+  const sorted = Array.from(merged.values()).sort((a, b) => activity(b) - activity(a));
+  const selected = limit ? sorted.slice(0, limit) : sorted;
+
+  const contributors = selected.map((contributor, index) => ({
+    ...contributor,
+    fallback: generateAvatarPattern(contributor.login || contributor.name, index)
+  }));
+
+  return {
+    contributors,
+    source: 'aggregate',
+    repositories: repos.filter(repo => !failed.some(f => f.repository === repo)),
+    failed
+  };
+}
+
+// Outer padding of every badge layout, and the space between an avatar and its label
+const BADGE_PADDING = 12;
+const LABEL_SPACING = 6;
+
+// Facepiles show this many avatars (unless `columns` is set) and a "+N" bubble for the rest
+const FACEPILE_VISIBLE = 8;
+
+// Step heights of the podium for 1st, 2nd and 3rd place
+const PODIUM_STEPS = [40, 28, 18];
+
+// Length of the longest contribution bar in the list layout
+const LIST_BAR_WIDTH = 160;
 
-  return `
+// Longest title or subtitle accepted for custom badges
+const MAX_HEADER_LENGTH = 100;
+
+// Helper function to generate SVG badge with reliable avatar loading.
+// `theme` is a resolved theme (see lib/themes.js) and `layout` resolved layout options
+// (see lib/layout.js), both defaulting to the classic light 40px circles.
+// `options` adds a { title, subtitle } header band and contribution counts (showContributions).
+function generateSVGBadge(contributors, style = 'horizontal', theme = resolveTheme().theme, layout = resolveLayout().layout, options = {}) {
+  const colors = theme.colors;
+
+  if (contributors.length === 0) {
+    return generateEmptySVGBadge(theme);
+  }
+
+  const renderers = { facepile: renderFacepile, podium: renderPodium, list: renderList };
+  const render = renderers[style] || renderGrid;
+  const content = render(contributors, style, colors, layout, options);
+  const header = measureHeader(options);
+
+  // The header band sits on top and may widen the badge, the layout is centered below it
+  const width = Math.min(MAX_BADGE_WIDTH, Math.max(content.width, header.width));
+  const height = content.height + header.height;
+  const clipPaths = content.clipPaths;
+  const elements = header.height
+    ? svg`${renderHeader(options, width, colors)}
+      <g transform="translate(${Math.max(0, (width - content.width) / 2)}, ${header.height})">
+        ${content.elements}
+      </g>`
+    : content.elements;
+
+  return svg`
     <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">
       <defs>
-        ${defs}
+        ${clipPaths}
+        <filter id="shadow">
+          <feDropShadow dx="0" dy="2" stdDeviation="3" flood-color="${colors.shadow}"/>
+        </filter>
+        <filter id="avatarShadow">
+          <feDropShadow dx="0" dy="1" stdDeviation="2" flood-color="${colors.shadow}"/>
+        </filter>
       </defs>
       <style>
-        <![CDATA[
         .contributor {
           cursor: pointer;
           transition: all 0.2s ease;
@@ -359,11 +1011,11 @@ function generateSVGBadge(contributors, style = 'horizontal', theme = 'light') {
           fill: ${colors.hover};
         }
         .contributor:hover .username {
-          fill: #0366d6;
+          fill: ${colors.accent};
           font-weight: 600;
         }
-        .contributor:hover .avatar-border {
-          stroke: #0366d6;
+        .contributor:hover .avatar-border, .contributor:hover .avatar-ring {
+          stroke: ${colors.accent};
           stroke-width: 2;
         }
         .contributor:hover .avatar-image {
@@ -378,7 +1030,7 @@ function generateSVGBadge(contributors, style = 'horizontal', theme = 'light') {
         .avatar-fallback {
           transition: filter 0.2s ease;
         }
-        .avatar-border {
+        .avatar-border, .avatar-ring {
           transition: all 0.2s ease;
         }
         .username {
@@ -386,289 +1038,1065 @@ function generateSVGBadge(contributors, style = 'horizontal', theme = 'light') {
           user-select: none;
           transition: all 0.2s ease;
         }
-        .avatar-initial {
+        .avatar-initial, .badge-text {
           pointer-events: none;
           user-select: none;
-        }
-        ]]>
+        }${colorSchemeStyles(theme)}
       </style>
-      <rect width="${width}" height="${height}" fill="${colors.bg}" stroke="${colors.border}" stroke-width="1" rx="8" filter="url(#shadow)"/>
-      ${contributorElements}
+      <rect width="${width}" height="${height}" fill="${colors.bg}" stroke="${colors.border}" stroke-width="1" rx="8" filter="url(#shadow)" class="badge-bg"/>
+      ${elements}
     </svg>
-  `;
+  `.toString();
+}
+
+// Helper function to size the optional title/subtitle band of a badge
+function measureHeader({ title, subtitle } = {}) {
+  if (!title && !subtitle) {
+    return { width: 0, height: 0 };
+  }
+
+  return {
+    // Titles are bold, which runs up to 20% wider than the measured regular weight
+    width: Math.max(title ? Math.ceil(measureText(title, 16) * 1.2) : 0, subtitle ? measureText(subtitle, 12) : 0) + BADGE_PADDING * 2,
+    height: BADGE_PADDING + (title ? 22 : 0) + (subtitle ? 18 : 0)
+  };
+}
+
+// Helper function to render the title/subtitle band, in the theme's text colors
+function renderHeader({ title, subtitle } = {}, width, colors) {
+  const elements = [];
+  let y = BADGE_PADDING;
+
+  if (title) {
+    y += 18;
+    elements.push(svg`
+      <text x="${width / 2}" y="${y}" text-anchor="middle" font-family="${FONT_STACK}" font-size="16" font-weight="bold" fill="${colors.text}" class="badge-text badge-title">${title}</text>`);
+    y += 4;
+  }
+
+  if (subtitle) {
+    y += 14;
+    elements.push(svg`
+      <text x="${width / 2}" y="${y}" text-anchor="middle" font-family="${FONT_STACK}" font-size="12" fill="${colors.text}" class="badge-text badge-subtitle">${subtitle}</text>`);
+  }
+
+  return elements;
+}
+
+// Helper function to format a contributor's contribution count, null when unknown
+// (e.g. contributors listed only in .all-contributorsrc)
+function contributionCount(contributor) {
+  if (typeof contributor.contributions !== 'number') {
+    return null;
+  }
+
+  return `${contributor.contributions.toLocaleString('en-US')} commit${contributor.contributions === 1 ? '' : 's'}`;
+}
+
+// Helper function to pick the label of a contributor.
+// Anonymous contributors have no login, show their commit name instead
+function contributorLabel(contributor, labels) {
+  return labels === 'name' ? contributor.name || contributor.login : contributor.login || contributor.name;
+}
+
+// Helper function to render an avatar (image, or colored initial as fallback) with its border and hover shapes.
+// Returns the markup and the clip path the image refers to.
+function renderAvatar(contributor, index, x, y, size, shape, colors, ring = { fill: colors.border, className: 'avatar-border' }) {
+  // Create avatar element - use base64 if available, otherwise fallback to pattern
+  const avatarData = safeImageData(contributor.avatar_base64);
+  let avatarElement;
+  if (avatarData) {
+    avatarElement = svg`<image href="${avatarData}" x="${x}" y="${y}" width="${size}" height="${size}" clip-path="url(#clip${index})" class="avatar-image"/>`;
+  } else {
+    avatarElement = svg`${avatarShape(shape, x, y, size, 0, contributor.fallback.color, 'avatar-fallback')}
+            <text x="${x + size / 2}" y="${y + size / 2 + size * 0.125}" text-anchor="middle" font-family="${FONT_STACK}" font-size="${Math.round(size * 0.45)}" font-weight="bold" fill="${colors.fallbackText}" class="avatar-initial">${contributor.fallback.initial}</text>`;
+  }
+
+  return {
+    element: svg`${avatarShape(shape, x, y, size, 2, ring.fill, ring.className)}
+            ${avatarShape(shape, x, y, size, 0, 'transparent', 'avatar-hover')}
+            ${avatarElement}`,
+    clipPath: svg`
+        <clipPath id="clip${index}">
+          ${avatarShape(shape, x, y, size, 0)}
+        </clipPath>`
+  };
+}
+
+// Helper function to link a contributor's elements to their profile.
+// `tooltip` is shown on hover, for layouts without visible labels.
+function renderContributor(contributor, label, content, tooltip = null) {
+  const href = safeUrl(contributor.html_url);
+
+  return svg`
+        <g class="contributor" data-username="${label}">
+          <a${href ? svg` href="${href}" target="_blank"` : ''}>${tooltip ? svg`
+            <title>${tooltip}</title>` : ''}
+            ${content}
+          </a>
+        </g>
+      `;
+}
+
+// Helper function to render a contributor label
+function renderLabel(text, x, y, fontSize, colors, anchor = 'middle') {
+  return svg`<text x="${x}" y="${y}" text-anchor="${anchor}" font-family="${FONT_STACK}" font-size="${fontSize}" fill="${colors.text}" class="username">${text}</text>`;
+}
+
+// Helper function to render a contribution count under a label
+function renderCount(text, x, y, fontSize, colors) {
+  return svg`<text x="${x}" y="${y}" text-anchor="middle" font-family="${FONT_STACK}" font-size="${fontSize}" fill="${colors.text}" opacity="0.8" class="badge-text contribution-count">${text}</text>`;
+}
+
+// Horizontal rows and square-ish grids of labelled avatars. Contributors that don't fit, plus
+// `more.count` left out by the caller, are summed up in a final "+N" tile.
+function renderGrid(contributors, style, colors, layout, { showContributions = false, more = null } = {}) {
+  const { size: avatarSize, shape, gap, labels, truncate, fontSize } = layout;
+  const padding = BADGE_PADDING;
+  const labelHeight = labels === 'none' ? 0 : LABEL_SPACING + fontSize + 5;
+  const counts = contributors.map(contributor => (showContributions ? contributionCount(contributor) : null));
+  const countFontSize = fontSize - 1;
+  // Extra rows under the label for contribution counts and contribution-type markers
+  const countHeight = counts.some(Boolean) ? countFontSize + 3 : 0;
+  const markersHeight = contributors.some(contributor => contributor.types) ? 14 : 0;
+
+  const displayNames = contributors.map(contributor => truncateLabel(contributorLabel(contributor, labels), truncate));
+
+  // Each cell is as wide as its widest label (or the avatar), measured rather than counted.
+  // reduce() rather than Math.max(...list), /badge/all can pass many thousands of contributors.
+  const labelWidth = labels === 'none' ? 0 : displayNames.reduce((widest, name) => Math.max(widest, measureText(name, fontSize)), 0);
+  const countWidth = countHeight ? counts.reduce((widest, count) => Math.max(widest, count ? measureText(count, countFontSize) : 0), 0) : 0;
+  const markersWidth = markersHeight ? MAX_TYPE_MARKERS * 12 : 0;
+  const cellWidth = Math.max(avatarSize, labelWidth, countWidth, markersWidth);
+  const cellHeight = avatarSize + labelHeight + countHeight + markersHeight;
+
+  // Grids default to a square, horizontal badges to a single row and `width` fills that width;
+  // all of them stay within MAX_BADGE_WIDTH
+  const cellCount = contributors.length + (more ? 1 : 0);
+  const maxCols = Math.max(1, Math.floor(((layout.width || MAX_BADGE_WIDTH) - padding * 2 + gap) / (cellWidth + gap)));
+  const maxRows = Math.max(1, Math.floor((MAX_BADGE_HEIGHT - padding * 2 + gap) / (cellHeight + gap)));
+  const requestedCols = layout.columns || (layout.width ? maxCols : style === 'grid' ? Math.ceil(Math.sqrt(cellCount)) : cellCount);
+  const cols = Math.min(requestedCols, maxCols, cellCount);
+
+  // Keep the last cell for the "+N" tile when not everyone fits
+  const capacity = cols * maxRows;
+  const overflow = more !== null || contributors.length > capacity;
+  const shown = contributors.slice(0, overflow ? Math.min(contributors.length, capacity - 1) : capacity);
+  const hidden = contributors.length - shown.length + (more ? more.count : 0);
+  const rows = Math.ceil((shown.length + (hidden > 0 ? 1 : 0)) / cols);
+
+  const contentWidth = cols * (cellWidth + gap) - gap + padding * 2;
+  const width = Math.max(contentWidth, layout.width || 0);
+  const offsetX = padding + (width - contentWidth) / 2;
+  const cellPosition = index => ({
+    x: (index % cols) * (cellWidth + gap) + offsetX + (cellWidth - avatarSize) / 2,
+    y: Math.floor(index / cols) * (cellHeight + gap) + padding
+  });
+
+  const elements = [];
+  const clipPaths = [];
+
+  shown.forEach((contributor, index) => {
+    const { x, y } = cellPosition(index);
+    const centerX = x + avatarSize / 2;
+    const label = contributorLabel(contributor, labels);
+    const avatar = renderAvatar(contributor, index, x, y, avatarSize, shape, colors);
+
+    const labelElement = labels === 'none' ? '' : renderLabel(displayNames[index], centerX, y + avatarSize + LABEL_SPACING + fontSize, fontSize, colors);
+    const countElement = counts[index] ? renderCount(counts[index], centerX, y + avatarSize + labelHeight + countFontSize, countFontSize, colors) : '';
+
+    elements.push(renderContributor(contributor, label, svg`${avatar.element}
+            ${labelElement}
+            ${countElement}
+            ${generateTypeMarkers(contributor, centerX, y + avatarSize + labelHeight + countHeight + 12)}`, labels === 'none' ? label : null));
+    clipPaths.push(avatar.clipPath);
+  });
+
+  if (hidden > 0) {
+    const { x, y } = cellPosition(shown.length);
+    const labelElement = labels === 'none' ? '' : renderLabel('more', x + avatarSize / 2, y + avatarSize + LABEL_SPACING + fontSize, fontSize, colors);
+
+    elements.push(renderMoreTile(hidden, more && more.url, x, y, avatarSize, shape, colors, labelElement));
+  }
+
+  return {
+    width,
+    height: rows * (cellHeight + gap) - gap + padding * 2,
+    elements,
+    clipPaths
+  };
+}
+
+// Helper function to shorten large counts for the "+N" tile (1,234 -> 1.2k)
+function formatCompactCount(count) {
+  if (count < 1000) {
+    return String(count);
+  }
+
+  return count < 10000 ? `${(Math.floor(count / 100) / 10).toFixed(1)}k` : `${Math.floor(count / 1000)}k`;
+}
+
+// Helper function to render the "+N" tile standing for contributors left out of a badge,
+// linked to the full contributor list when `url` is given
+function renderMoreTile(count, url, x, y, size, shape, colors, extra = '') {
+  const href = safeUrl(url);
+
+  return svg`
+        <g class="more-contributors">
+          <a${href ? svg` href="${href}" target="_blank"` : ''}>
+            <title>+${count.toLocaleString('en-US')} more contributor${count === 1 ? '' : 's'}</title>
+            ${avatarShape(shape, x, y, size, 2, colors.bg, 'avatar-ring')}
+            ${avatarShape(shape, x, y, size, 0, colors.border, 'more-bubble')}
+            <text x="${x + size / 2}" y="${y + size / 2 + size * 0.12}" text-anchor="middle" font-family="${FONT_STACK}" font-size="${Math.round(size * 0.3)}" font-weight="600" fill="${colors.text}" class="badge-text">+${formatCompactCount(count)}</text>
+            ${extra}
+          </a>
+        </g>
+      `;
+}
+
+// Compact row of overlapping avatars, names on hover, ending in a "+N" bubble
+function renderFacepile(contributors, style, colors, layout, { showContributions = false, more = null } = {}) {
+  const { size, shape } = layout;
+  const padding = BADGE_PADDING;
+  // Each avatar covers the last third of the previous one
+  const step = Math.round(size * 2 / 3);
+  const maxVisible = Math.max(1, Math.floor(((layout.width || MAX_BADGE_WIDTH) - padding * 2 - size) / step));
+  const visible = Math.min(layout.columns || FACEPILE_VISIBLE, maxVisible, contributors.length);
+  const hidden = contributors.length - visible + (more ? more.count : 0);
+  const slots = visible + (hidden > 0 ? 1 : 0);
+  // Rings in the background color keep overlapping avatars apart
+  const ring = { fill: colors.bg, className: 'avatar-ring' };
+
+  const elements = [];
+  const clipPaths = [];
+
+  contributors.slice(0, visible).forEach((contributor, index) => {
+    const label = contributorLabel(contributor, layout.labels);
+    const avatar = renderAvatar(contributor, index, padding + index * step, padding, size, shape, colors, ring);
+    const count = showContributions ? contributionCount(contributor) : null;
+
+    elements.push(renderContributor(contributor, label, avatar.element, count ? `${label} (${count})` : label));
+    clipPaths.push(avatar.clipPath);
+  });
+
+  if (hidden > 0) {
+    elements.push(renderMoreTile(hidden, more && more.url, padding + visible * step, padding, size, shape, colors));
+  }
+
+  return {
+    width: (slots - 1) * step + size + padding * 2,
+    height: size + padding * 2,
+    elements,
+    clipPaths
+  };
+}
+
+// Top 3 contributors on a podium, 1st place in the middle
+function renderPodium(contributors, style, colors, layout, { showContributions = false } = {}) {
+  const { size, shape, gap, labels, truncate, fontSize } = layout;
+  const padding = BADGE_PADDING;
+  const top = contributors.slice(0, 3);
+  const displayNames = top.map(contributor => truncateLabel(contributorLabel(contributor, labels), truncate));
+  const counts = top.map(contributor => (showContributions ? contributionCount(contributor) : null));
+  const countFontSize = fontSize - 1;
+  const labelHeight = labels === 'none' ? 0 : LABEL_SPACING + fontSize + 5;
+  const countHeight = counts.some(Boolean) ? countFontSize + 3 : 0;
+  const labelWidth = labels === 'none' ? 0 : Math.max(...displayNames.map(name => measureText(name, fontSize)));
+  const countWidth = countHeight ? Math.max(...counts.map(count => (count ? measureText(count, countFontSize) : 0))) : 0;
+  const cellWidth = Math.max(size + 16, labelWidth, countWidth);
+  const height = padding * 2 + size + labelHeight + countHeight + PODIUM_STEPS[0];
+  const floor = height - padding;
+
+  // Places from left to right: 2nd, 1st, 3rd
+  const places = [1, 0, 2].filter(rank => rank < top.length);
+  const elements = [];
+  const clipPaths = [];
+
+  places.forEach((rank, slot) => {
+    const contributor = top[rank];
+    const cellX = padding + slot * (cellWidth + gap);
+    const centerX = cellX + cellWidth / 2;
+    const stepY = floor - PODIUM_STEPS[rank];
+    const y = stepY - countHeight - labelHeight - size;
+    const label = contributorLabel(contributor, labels);
+    const avatar = renderAvatar(contributor, rank, centerX - size / 2, y, size, shape, colors);
+
+    const labelElement = labels === 'none' ? '' : renderLabel(displayNames[rank], centerX, y + size + LABEL_SPACING + fontSize, fontSize, colors);
+    const countElement = counts[rank] ? renderCount(counts[rank], centerX, y + size + labelHeight + countFontSize, countFontSize, colors) : '';
+
+    elements.push(svg`
+        <rect x="${cellX}" y="${stepY}" width="${cellWidth}" height="${PODIUM_STEPS[rank]}" rx="3" fill="${colors.border}" class="podium-step"/>
+        <text x="${centerX}" y="${stepY + PODIUM_STEPS[rank] / 2 + 4}" text-anchor="middle" font-family="${FONT_STACK}" font-size="11" font-weight="bold" fill="${colors.text}" class="badge-text">${rank + 1}</text>`);
+    elements.push(renderContributor(contributor, label, svg`${avatar.element}
+            ${labelElement}
+            ${countElement}`, labels === 'none' ? label : null));
+    clipPaths.push(avatar.clipPath);
+  });
+
+  return {
+    width: places.length * (cellWidth + gap) - gap + padding * 2,
+    height,
+    elements,
+    clipPaths
+  };
+}
+
+// Vertical list with each contributor's contribution count as a proportional bar,
+// ending in a "+N more contributors" line when some are left out.
+// Contributors without a known count (.all-contributorsrc only) get no bar.
+function renderList(contributors, style, colors, layout, { more = null } = {}) {
+  const { size, shape, gap, labels, truncate, fontSize } = layout;
+  const padding = BADGE_PADDING;
+  const moreHeight = fontSize + gap;
+  const maxRows = Math.max(1, Math.floor((MAX_BADGE_HEIGHT - padding * 2 + gap - moreHeight) / (size + gap)));
+  const shown = contributors.slice(0, maxRows);
+  const hidden = contributors.length - shown.length + (more ? more.count : 0);
+  const displayNames = shown.map(contributor => truncateLabel(contributorLabel(contributor, labels), truncate));
+  const counts = shown.map(contributor => (typeof contributor.contributions === 'number' ? contributor.contributions : null));
+  const maxCount = counts.reduce((max, count) => Math.max(max, count || 0), 0);
+
+  const labelWidth = labels === 'none' ? 0 : Math.max(...displayNames.map(name => measureText(name, fontSize)));
+  const countWidth = counts.reduce((max, count) => (count === null ? max : Math.max(max, measureText(String(count), fontSize))), 0);
+  const labelX = padding + size + 10;
+  const barX = labelWidth ? labelX + labelWidth + 10 : labelX;
+  const barHeight = Math.max(4, Math.round(size * 0.25));
+
+  const elements = [];
+  const clipPaths = [];
+
+  shown.forEach((contributor, index) => {
+    const y = padding + index * (size + gap);
+    const centerY = y + size / 2;
+    const label = contributorLabel(contributor, labels);
+    const avatar = renderAvatar(contributor, index, padding, y, size, shape, colors);
+    const barWidth = maxCount ? Math.round(LIST_BAR_WIDTH * counts[index] / maxCount) : 0;
+
+    const labelElement = labels === 'none' ? '' : renderLabel(displayNames[index], labelX, centerY + fontSize * 0.35, fontSize, colors, 'start');
+    const barElement = counts[index] === null ? '' : svg`
+            <rect x="${barX}" y="${centerY - barHeight / 2}" width="${LIST_BAR_WIDTH}" height="${barHeight}" rx="${barHeight / 2}" fill="${colors.border}" class="bar-track"/>
+            <rect x="${barX}" y="${centerY - barHeight / 2}" width="${barWidth}" height="${barHeight}" rx="${barHeight / 2}" fill="${colors.accent}" class="contribution-bar"/>
+            <text x="${barX + LIST_BAR_WIDTH + 8}" y="${centerY + fontSize * 0.35}" font-family="${FONT_STACK}" font-size="${fontSize}" fill="${colors.text}" class="badge-text">${counts[index]}</text>`;
+
+    elements.push(renderContributor(contributor, label, svg`${avatar.element}
+            ${labelElement}${barElement}`, labels === 'none' ? label : null));
+    clipPaths.push(avatar.clipPath);
+  });
+
+  if (hidden > 0) {
+    const href = safeUrl(more && more.url);
+    elements.push(svg`
+        <g class="more-contributors">
+          <a${href ? svg` href="${href}" target="_blank"` : ''}>
+            <text x="${padding}" y="${padding + shown.length * (size + gap) + fontSize}" font-family="${FONT_STACK}" font-size="${fontSize}" fill="${colors.accent}" class="more-link">+${hidden.toLocaleString('en-US')} more contributor${hidden === 1 ? '' : 's'}</text>
+          </a>
+        </g>
+      `);
+  }
+
+  return {
+    width: barX + LIST_BAR_WIDTH + 8 + countWidth + padding,
+    height: shown.length * (size + gap) - gap + padding * 2 + (hidden > 0 ? moreHeight : 0),
+    elements,
+    clipPaths
+  };
+}
+
+// Helper function to draw an avatar-sized circle, rounded square or square grown by `inset` pixels
+function avatarShape(shape, x, y, size, inset, fill = null, className = null) {
+  const attributes = svg`${fill ? svg` fill="${fill}"` : ''}${className ? svg` class="${className}"` : ''}`;
+
+  if (shape === 'circle') {
+    return svg`<circle cx="${x + size / 2}" cy="${y + size / 2}" r="${size / 2 + inset}"${attributes}/>`;
+  }
+
+  const radius = shape === 'rounded' ? Math.round(size * 0.2) + inset : 0;
+  return svg`<rect x="${x - inset}" y="${y - inset}" width="${size + inset * 2}" height="${size + inset * 2}" rx="${radius}"${attributes}/>`;
+}
+
+// Helper function to render all-contributors style emoji markers for a contributor's types
+function generateTypeMarkers(contributor, x, y) {
+  if (!contributor.types) {
+    return null;
+  }
+
+  // Computed types carry counts, types listed in .all-contributorsrc are just flagged
+  const types = Object.keys(TYPE_MARKERS).filter(type => contributor.types[type]);
+  if (types.length === 0) {
+    return null;
+  }
+
+  const summary = types
+    .map(type => contributor.types[type] === true ? TYPE_MARKERS[type].label : `${TYPE_MARKERS[type].label}: ${contributor.types[type]}`)
+    .join(', ');
+  const markers = types.slice(0, MAX_TYPE_MARKERS).map(type => TYPE_MARKERS[type].emoji).join('');
+
+  return svg`<text x="${x}" y="${y}" text-anchor="middle" font-size="10" class="type-markers"><title>${summary}</title>${markers}${types.length > MAX_TYPE_MARKERS ? '…' : ''}</text>`;
+}
+
+// Helper function to get a cached PNG/WebP rendering of a badge.
+// Keys are derived from the SVG itself, so a changed badge never reuses a stale raster.
+async function getRasterBadge(repo, svg, format, scale) {
+  const cacheKey = currentAccess().cachePrefix + repoCacheKey(repo, `raster-${hashContent(svg)}-${format}@${scale}x`);
+  const cached = await cache.get(cacheKey);
+
+  if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
+    return cached.data;
+  }
+
+  const raster = await rasterizeSVG(svg, format, scale);
+
+  await cache.set(cacheKey, {
+    data: raster,
+    timestamp: Date.now()
+  }, CACHE_DURATION);
+
+  return raster;
+}
+
+// Helper function to tell clients whether the contributor data came from a stale cache entry
+function setFreshnessHeaders(res, result) {
+  res.setHeader('X-Cache-Status', result.status);
+  res.setHeader('Age', Math.floor(result.age / 1000));
+
+  if (result.status === 'stale') {
+    res.setHeader('Warning', '110 - "Response is Stale"');
+  } else if (result.status === 'stale-if-error') {
+    res.setHeader('Warning', '111 - "Revalidation Failed"');
+  }
+}
+
+const SVG_CONTENT_SECURITY_POLICY = "default-src 'none'; img-src data:; style-src 'unsafe-inline'";
+
+// Helper function to send a badge in the requested output format
+async function sendBadge(res, svg, { repo, format = 'svg', scale = 1, maxAge = 300, result }) {
+  const body = format === 'svg' ? svg : await getRasterBadge(repo, svg, format, Number(scale));
+  const stale = result && result.status.startsWith('stale');
+
+  if (result) {
+    setFreshnessHeaders(res, result);
+    if (result.source) {
+      res.setHeader('X-Data-Source', result.source);
+    }
+  }
+
+  // Keep stale badges short-lived in CDNs so the refreshed data shows up soon
+  const effectiveMaxAge = stale ? Math.min(maxAge, STALE_MAX_AGE) : maxAge;
+
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  // Badges of signed URLs may show private data, keep them out of shared caches
+  res.setHeader('Cache-Control', currentAccess().signed
+    ? `private, max-age=${effectiveMaxAge}`
+    : `public, max-age=${effectiveMaxAge}, s-maxage=${effectiveMaxAge}`);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  if (format === 'svg') {
+    // Badges opened directly are documents: no scripts, no external loads, only inline styles and embedded avatars
+    res.setHeader('Content-Security-Policy', SVG_CONTENT_SECURITY_POLICY);
+  }
+
+  // Strong validator derived from the rendered bytes, so camo/CDNs can revalidate with a 304
+  res.setHeader('ETag', `"${hashContent(body)}"`);
+  if (result) {
+    res.setHeader('Last-Modified', new Date(Date.now() - result.age).toUTCString());
+  }
+
+  if (res.req.fresh) {
+    return res.status(304).end();
+  }
+
+  res.send(body);
+}
+
+// Helper function to generate the badge shown for repositories without contributors yet
+function generateEmptySVGBadge(theme) {
+  const width = 200;
+  const height = 40;
+  const colors = theme.colors;
+  const styles = colorSchemeStyles(theme);
+
+  return svg`
+    <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">${styles ? svg`
+      <style>${styles}
+      </style>` : ''}
+      <rect width="${width}" height="${height}" fill="${colors.bg}" stroke="${colors.border}" stroke-width="1" rx="8" class="badge-bg"/>
+      <text x="${width / 2}" y="${height / 2 + 4}" text-anchor="middle" font-family="${FONT_STACK}" font-size="12" fill="${colors.text}" class="badge-text">No contributors yet</text>
+    </svg>
+  `.toString();
+}
+
+// Helper function to read the contributor list options shared by badge routes and /stats
+// (query strings carry "true" and comma-separated lists, JSON bodies may carry booleans and arrays)
+function parseListOptions(query) {
+  const flag = value => value === true || value === 'true';
+  const logins = value => {
+    const items = Array.isArray(value) ? value : String(value || '').split(',');
+    return [...new Set(items.map(item => String(item).trim().toLowerCase()).filter(Boolean))].slice(0, 100);
+  };
+
+  return {
+    anon: flag(query.anon),
+    coauthors: flag(query.coauthors),
+    excludeBots: flag(query.exclude_bots),
+    exclude: logins(query.exclude),
+    include: logins(query.include),
+    since: query.since ? String(query.since).trim() : null,
+    until: query.until ? String(query.until).trim() : null,
+    // "true"/"all" credits every contribution type, otherwise a comma-separated subset
+    types: flag(query.types) || query.types === 'all' ? Object.keys(CONTRIBUTION_TYPES) : logins(query.types),
+    // "allcontributors" lists the repository's .all-contributorsrc instead of (or with merge, on top of) the API
+    source: query.source ? String(query.source).trim().toLowerCase() : 'api',
+    merge: flag(query.merge)
+  };
+}
+
+// Helper function to check the parsed list options for combinations the query schema can't
+// express, returns a { field, message } error or null
+function validateListOptions({ since, until, coauthors = false, types = [], source = 'api', merge = false }) {
+  const { provider } = currentAccess();
+  const unsupported = Object.entries({ since, until, coauthors, types: types.length, source: source !== 'api' }).find(([, value]) => value);
+  if (!provider.githubApi && unsupported) {
+    return { field: unsupported[0], message: `since, until, coauthors, types and source are not supported for ${provider.kind} repositories` };
+  }
+
+  if (source === 'allcontributors' && !merge && (since || until)) {
+    return { field: 'merge', message: 'since/until need merge=true when source is "allcontributors"' };
+  }
+
+  return null;
+}
+
+// Helper function to read the org/repos selection of the aggregate endpoints.
+// Returns { error } (a { field, message } error) for invalid input.
+function parseRepoSelection(query) {
+  const { org, repos, forks = 'false', archived = 'false' } = query;
+
+  if (!org && !repos) {
+    return { error: { field: 'org', message: 'Either org or repos parameter is required' } };
+  }
+
+  const repoList = [...new Set(String(repos || '').split(',').map(repo => repo.trim()).filter(Boolean))];
+
+  if (repoList.some(repo => providers[0].validateRepo(repo))) {
+    return { error: { field: 'repos', message: 'repos must be a comma-separated list of "owner/repo"' } };
+  }
+
+  return {
+    org: org || null,
+    repos: repoList,
+    includeForks: forks === 'true',
+    includeArchived: archived === 'true'
+  };
+}
+
+// Helper function to read the page/per_page/max parameters of /badge/all.
+// Returns { page, perPage, max } (perPage and max are null when not given) or { error }.
+function parsePagination({ page, per_page: perPage, max }) {
+  const number = value => (value === undefined || value === '' ? null : Number(value));
+
+  if (number(page) !== null && number(perPage) === null) {
+    return { error: { field: 'page', message: 'page requires per_page' } };
+  }
+
+  return { page: number(page) || 1, perPage: number(perPage), max: number(max) };
+}
+
+// Helper function to count a contribution type: computed types carry counts, types listed in
+// .all-contributorsrc are flagged with true and count once
+function typeCount(count) {
+  return count === true ? 1 : count;
+}
+
+// Helper function to total the contribution-type breakdown of a contributor list for /stats
+function sumContributionTypes(contributors) {
+  const totals = {};
+
+  for (const contributor of contributors) {
+    for (const [type, count] of Object.entries(contributor.types || {})) {
+      totals[type] = (totals[type] || 0) + typeCount(count);
+    }
+  }
+
+  return totals;
+}
+
+// Query schemas of the GET routes and body schemas of the POST routes, for validation and the OpenAPI document
+const routes = routeSchemas({
+  providers,
+  contributionTypes: CONTRIBUTION_TYPES,
+  maxRepos: AGGREGATE_MAX_REPOS,
+  maxHeaderLength: MAX_HEADER_LENGTH,
+  signedRoutes: SIGNABLE_ROUTES,
+  defaultSignedUrlTtl: SIGNED_URL_DEFAULT_TTL,
+  maxSignedUrlTtl: SIGNED_URL_MAX_TTL,
+  maxBatchRepos: BATCH_MAX_REPOS
+});
+
+// Helper function to reject a request with field-level errors, a list of { field, message }
+function sendInvalid(res, errors) {
+  return res.status(400).json({ error: 'Invalid request parameters', errors });
+}
+
+// Middleware validating the query string against the schema of the route at `path`.
+// Routes can rely on every parameter of their schema being a single, valid, non-empty value (or absent).
+function validateRequest(path) {
+  const schema = routes[path].query;
+
+  return (req, res, next) => {
+    const { errors, query } = validateQuery(schema, req.query);
+    if (errors.length) {
+      return sendInvalid(res, errors);
+    }
+
+    req.query = query;
+    next();
+  };
+}
+
+// Middleware resolving the provider (provider/host parameters) and signed URLs (sig, expires
+// and optional credential parameters). Unsigned requests get public access, bad signatures are rejected.
+// Also checks the repository name against the provider's format (e.g. nested GitLab groups).
+function resolveBadgeAccess(req, res, next) {
+  const { provider, error } = resolveProvider(providers, req.query);
+  if (error) {
+    return sendInvalid(res, [{ field: req.query.host ? 'host' : 'provider', message: error }]);
+  }
+
+  const repoError = provider.validateRepo(req.query.repo);
+  if (repoError) {
+    return sendInvalid(res, [{ field: 'repo', message: repoError }]);
+  }
+
+  if (req.query[SIGNATURE_PARAM] === undefined) {
+    return requestAccess.run({ signed: false, provider, client: provider.client, cachePrefix: provider.cachePrefix }, next);
+  }
+
+  if (!BADGE_SIGNING_SECRET) {
+    return res.status(403).json({ error: 'Signed URLs are not enabled on this server' });
+  }
+
+  const searchParams = new URL(req.originalUrl, 'http://localhost').searchParams;
+  const params = Object.fromEntries(searchParams);
+
+  // Repeated parameters would be read differently by the signature check and the route
+  const repeated = Array.from(searchParams.keys()).find((name, index, names) => names.indexOf(name) !== index);
+  if (repeated) {
+    return sendInvalid(res, [{ field: repeated, message: `${repeated} may not be repeated in signed URLs` }]);
+  }
+
+  const signatureError = verifyParams(req.path, params, BADGE_SIGNING_SECRET);
+  if (signatureError) {
+    return res.status(403).json({ error: signatureError });
+  }
+
+  let access = { signed: true, provider, client: provider.client, cachePrefix: `${provider.cachePrefix}signed:server:` };
+
+  if (params[CREDENTIAL_PARAM]) {
+    const token = decryptCredential(params[CREDENTIAL_PARAM], BADGE_SIGNING_SECRET);
+    if (!token) {
+      return res.status(403).json({ error: 'Invalid credential' });
+    }
+
+    const scope = `${provider.cachePrefix}signed:${hashContent(token).slice(0, 16)}:`;
+    access = { signed: true, provider, client: provider.createScopedClient(token, scope), cachePrefix: scope };
+  }
+
+  requestAccess.run(access, next);
 }
 
-// Main badge endpoint
-app.get('/badge', async (req, res) => {
-  const { repo, limit = 10, style = 'horizontal', theme = 'light', avatars = 'true' } = req.query;
+// Helper function to check the TOKENS_API_KEY bearer token of a /tokens or /webhook/invalidate request
+function isTokensRequestAuthorized(req) {
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  const given = req.get('Authorization') || '';
+
+  return crypto.timingSafeEqual(digest(given), digest(`Bearer ${TOKENS_API_KEY}`));
+}
 
-  if (!repo) {
-    return res.status(400).json({ error: 'Repository parameter is required' });
+// Helper function to map GitHub client errors to JSON error responses
+function sendError(res, error, fallbackMessage) {
+  if (error instanceof RateLimitError) {
+    res.setHeader('Retry-After', error.retryAfterSeconds);
+    return res.status(429).json({
+      error: 'API rate limit exceeded. Please try again later.',
+      retry_after: error.retryAfterSeconds
+    });
   }
 
-  if (!repo.includes('/') || repo.split('/').length !== 2) {
-    return res.status(400).json({ error: 'Repository must be in format "username/repo-name"' });
+  if (error instanceof AllContributorsConfigError) {
+    return res.status(error.statusCode).json({ error: error.message, details: error.details });
   }
 
-  if (!['horizontal', 'grid'].includes(style)) {
-    return res.status(400).json({ error: 'Style must be "horizontal" or "grid"' });
+  if (error instanceof GitHubError && error.statusCode !== 500) {
+    return res.status(error.statusCode).json({ error: error.message });
   }
 
-  if (!['light', 'dark'].includes(theme)) {
-    return res.status(400).json({ error: 'Theme must be "light" or "dark"' });
+  return res.status(500).json({ error: fallbackMessage });
+}
+
+// Main badge endpoint
+app.get('/badge', validateRequest('/badge'), resolveBadgeAccess, async (req, res) => {
+  const { repo, limit = 10, style = 'horizontal', avatars = 'true', format = 'svg', scale = 1 } = req.query;
+
+  const { theme } = resolveTheme(req.query);
+  const { layout } = resolveLayout(req.query);
+
+  const listOptions = parseListOptions(req.query);
+  const listError = validateListOptions(listOptions);
+  if (listError) {
+    return sendInvalid(res, [listError]);
   }
 
   try {
-    let contributors;
+    let result;
     let finalStyle = style;
     const includeAvatars = avatars !== 'false';
     
     if (limit === 'all') {
-      contributors = await getAllContributors(repo, includeAvatars);
+      result = await getAllContributors(repo, listOptions);
       
-      if (contributors.length > 20 && style === 'horizontal') {
+      if (result.data.length > 20 && style === 'horizontal') {
         finalStyle = 'grid';
       }
     } else {
-      const limitNum = parseInt(limit);
-      if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
-        return res.status(400).json({ error: 'Limit must be between 1 and 100, or "all"' });
-      }
-      
-      contributors = await getContributors(repo, limitNum, includeAvatars);
+      const limitNum = Number(limit);
+      result = await getContributors(repo, limitNum, listOptions);
     }
 
-    if (contributors.length === 0) {
-      return res.status(404).json({ error: 'No contributors found' });
-    }
+    const contributors = includeAvatars ? await embedAvatars(result.data, layout) : result.data;
 
-    const svgBadge = generateSVGBadge(contributors, finalStyle, theme);
+    const svgBadge = generateSVGBadge(contributors, finalStyle, theme, layout);
     
-    res.setHeader('Content-Type', 'image/svg+xml');
-    res.setHeader('Cache-Control', 'public, max-age=300, s-maxage=300');
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.send(svgBadge);
+    await sendBadge(res, svgBadge, { repo, format, scale, result });
   } catch (error) {
     console.error('Error generating badge:', error);
-    
-    if (error.message === 'Repository not found') {
-      return res.status(404).json({ error: 'Repository not found' });
-    } else if (error.message === 'API rate limit exceeded') {
-      return res.status(429).json({ error: 'API rate limit exceeded. Please try again later.' });
-    } else if (error.message === 'Authentication failed') {
-      return res.status(401).json({ error: 'GitHub authentication failed' });
-    } else {
-      return res.status(500).json({ error: 'Failed to generate badge' });
-    }
+    return sendError(res, error, 'Failed to generate badge');
   }
 });
 
 // Dedicated endpoint for all contributors
-app.get('/badge/all', async (req, res) => {
-  const { repo, style = 'grid', theme = 'light', avatars = 'true' } = req.query;
+app.get('/badge/all', validateRequest('/badge/all'), resolveBadgeAccess, async (req, res) => {
+  const { repo, style = 'grid', avatars = 'true', format = 'svg', scale = 1 } = req.query;
 
-  if (!repo) {
-    return res.status(400).json({ error: 'Repository parameter is required' });
+  const { theme } = resolveTheme(req.query);
+  const { layout } = resolveLayout(req.query);
+
+  const listOptions = parseListOptions(req.query);
+  const listError = validateListOptions(listOptions);
+  if (listError) {
+    return sendInvalid(res, [listError]);
   }
 
-  if (!repo.includes('/') || repo.split('/').length !== 2) {
-    return res.status(400).json({ error: 'Repository must be in format "username/repo-name"' });
+  const pagination = parsePagination(req.query);
+  if (pagination.error) {
+    return sendInvalid(res, [pagination.error]);
   }
 
   try {
     console.log(`Fetching ALL contributors for ${repo} - this may take a while...`);
     
     const includeAvatars = avatars !== 'false';
-    const contributors = await getAllContributors(repo, includeAvatars);
-    
-    if (contributors.length === 0) {
-      return res.status(404).json({ error: 'No contributors found' });
-    }
+    const result = await getAllContributors(repo, listOptions);
+    const total = result.data.length;
+
+    console.log(`Found ${total} contributors for ${repo}`);
 
-    console.log(`Found ${contributors.length} contributors for ${repo}`);
+    // The full list is cached once, pages and the `max` cap are cut from it.
+    // Pages past the last one are empty badges, an <img> can't show a JSON error.
+    const { page, perPage, max } = pagination;
+    const start = perPage ? (page - 1) * perPage : 0;
 
-    const finalStyle = contributors.length > 20 ? 'grid' : style;
-    const svgBadge = generateSVGBadge(contributors, finalStyle, theme);
+    const pageContributors = perPage ? result.data.slice(start, start + perPage) : result.data;
+    const selected = max ? pageContributors.slice(0, max) : pageContributors;
+    const remaining = total - start - selected.length;
+    const more = remaining > 0 ? { count: remaining, url: currentAccess().provider.contributorsUrl(repo) } : null;
+
+    const contributors = includeAvatars ? await embedAvatars(selected, layout) : selected;
+
+    const finalStyle = contributors.length > 20 && style === 'horizontal' ? 'grid' : style;
+    const svgBadge = generateSVGBadge(contributors, finalStyle, theme, layout, { more });
     
-    res.setHeader('Content-Type', 'image/svg+xml');
-    res.setHeader('Cache-Control', 'public, max-age=3600, s-maxage=3600');
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.send(svgBadge);
+    res.setHeader('X-Total-Count', total);
+    await sendBadge(res, svgBadge, { repo, format, scale, maxAge: 3600, result });
   } catch (error) {
     console.error('Error generating all contributors badge:', error);
-    
-    if (error.message === 'Repository not found') {
-      return res.status(404).json({ error: 'Repository not found' });
-    } else if (error.message === 'API rate limit exceeded') {
-      return res.status(429).json({ error: 'API rate limit exceeded. Consider using a GitHub token.' });
-    } else {
-      return res.status(500).json({ error: 'Failed to generate badge with all contributors' });
-    }
+    return sendError(res, error, 'Failed to generate badge with all contributors');
   }
 });
 
 // Fast endpoint (no avatar loading)
-app.get('/badge/fast', async (req, res) => {
-  const { repo, limit = 10, style = 'horizontal', theme = 'light' } = req.query;
+app.get('/badge/fast', validateRequest('/badge/fast'), resolveBadgeAccess, async (req, res) => {
+  const { repo, limit = 10, style = 'horizontal', format = 'svg', scale = 1 } = req.query;
 
-  if (!repo) {
-    return res.status(400).json({ error: 'Repository parameter is required' });
-  }
+  const { theme } = resolveTheme(req.query);
+  const { layout } = resolveLayout(req.query);
 
-  if (!repo.includes('/') || repo.split('/').length !== 2) {
-    return res.status(400).json({ error: 'Repository must be in format "username/repo-name"' });
+  const listOptions = parseListOptions(req.query);
+  const listError = validateListOptions(listOptions);
+  if (listError) {
+    return sendInvalid(res, [listError]);
   }
 
   try {
-    let contributors;
+    let result;
     let finalStyle = style;
     
     if (limit === 'all') {
-      contributors = await getAllContributors(repo, false); // No avatars for speed
+      result = await getAllContributors(repo, listOptions); // No avatars for speed
       
-      if (contributors.length > 20 && style === 'horizontal') {
+      if (result.data.length > 20 && style === 'horizontal') {
         finalStyle = 'grid';
       }
     } else {
-      const limitNum = parseInt(limit);
-      if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
-        return res.status(400).json({ error: 'Limit must be between 1 and 100, or "all"' });
-      }
-      
-      contributors = await getContributors(repo, limitNum, false); // No avatars for speed
+      const limitNum = Number(limit);
+      result = await getContributors(repo, limitNum, listOptions); // No avatars for speed
     }
 
-    if (contributors.length === 0) {
-      return res.status(404).json({ error: 'No contributors found' });
-    }
+    const contributors = result.data;
 
-    const svgBadge = generateSVGBadge(contributors, finalStyle, theme);
+    const svgBadge = generateSVGBadge(contributors, finalStyle, theme, layout);
     
-    res.setHeader('Content-Type', 'image/svg+xml');
-    res.setHeader('Cache-Control', 'public, max-age=300, s-maxage=300');
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.send(svgBadge);
+    await sendBadge(res, svgBadge, { repo, format, scale, result });
   } catch (error) {
     console.error('Error generating fast badge:', error);
-    
-    if (error.message === 'Repository not found') {
-      return res.status(404).json({ error: 'Repository not found' });
-    } else if (error.message === 'API rate limit exceeded') {
-      return res.status(429).json({ error: 'API rate limit exceeded. Please try again later.' });
-    } else {
-      return res.status(500).json({ error: 'Failed to generate badge' });
-    }
+    return sendError(res, error, 'Failed to generate badge');
   }
 });
 
 // Stats endpoint
-app.get('/stats', async (req, res) => {
+app.get('/stats', validateRequest('/stats'), resolveBadgeAccess, async (req, res) => {
   const { repo } = req.query;
 
-  if (!repo) {
-    return res.status(400).json({ error: 'Repository parameter is required' });
-  }
-
-  if (!repo.includes('/') || repo.split('/').length !== 2) {
-    return res.status(400).json({ error: 'Repository must be in format "username/repo-name"' });
+  const listOptions = parseListOptions(req.query);
+  const listError = validateListOptions(listOptions);
+  if (listError) {
+    return sendInvalid(res, [listError]);
   }
 
   try {
-    const contributors = await getAllContributors(repo, false); // No avatars for stats
+    const result = await getAllContributors(repo, listOptions);
+    const contributors = result.data;
     
     const stats = {
       repository: repo,
       total_contributors: contributors.length,
-      total_contributions: contributors.reduce((sum, c) => sum + c.contributions, 0),
+      total_contributions: contributors.reduce((sum, c) => sum + (c.contributions || 0), 0),
+      anonymous_contributors: contributors.filter(c => c.anonymous).length,
+      contribution_types: listOptions.types.length ? sumContributionTypes(contributors) : undefined,
       top_contributors: contributors.slice(0, 10).map(c => ({
         username: c.login,
+        name: c.name,
+        anonymous: c.anonymous,
         contributions: c.contributions,
+        types: c.types || undefined,
         avatar_url: c.avatar_url,
         profile_url: c.html_url
       })),
-      last_updated: new Date().toISOString()
+      last_updated: new Date(Date.now() - result.age).toISOString(),
+      stale: result.status.startsWith('stale'),
+      data_source: result.source,
+      window: result.window
     };
 
+    setFreshnessHeaders(res, result);
     res.json(stats);
   } catch (error) {
     console.error('Error fetching stats:', error);
-    
-    if (error.message === 'Repository not found') {
-      return res.status(404).json({ error: 'Repository not found' });
-    } else if (error.message === 'API rate limit exceeded') {
-      return res.status(429).json({ error: 'API rate limit exceeded' });
-    } else {
-      return res.status(500).json({ error: 'Failed to fetch repository stats' });
-    }
+    return sendError(res, error, 'Failed to fetch repository stats');
+  }
+});
+
+// Organization-wide / multi-repo aggregated badge
+app.get('/badge/org', validateRequest('/badge/org'), async (req, res) => {
+  const { limit = 10, style = 'horizontal', avatars = 'true', format = 'svg', scale = 1 } = req.query;
+
+  const selection = parseRepoSelection(req.query);
+  if (selection.error) {
+    return sendInvalid(res, [selection.error]);
+  }
+
+  const { theme } = resolveTheme(req.query);
+  const { layout } = resolveLayout(req.query);
+
+  const limitNum = limit === 'all' ? null : Number(limit);
+
+  const listOptions = parseListOptions(req.query);
+  const listError = validateListOptions(listOptions);
+  if (listError) {
+    return sendInvalid(res, [listError]);
+  }
+
+  try {
+    const result = await getAggregateContributors(selection, limitNum, listOptions);
+    const contributors = avatars !== 'false' ? await embedAvatars(result.data, layout) : result.data;
+    const finalStyle = contributors.length > 20 && style === 'horizontal' ? 'grid' : style;
+
+    const svgBadge = generateSVGBadge(contributors, finalStyle, theme, layout);
+
+    await sendBadge(res, svgBadge, { repo: selection.org || selection.repos[0], format, scale, maxAge: 3600, result });
+  } catch (error) {
+    console.error('Error generating org badge:', error);
+    return sendError(res, error, 'Failed to generate aggregated badge');
+  }
+});
+
+// Organization-wide / multi-repo aggregated stats
+app.get('/stats/org', validateRequest('/stats/org'), async (req, res) => {
+  const selection = parseRepoSelection(req.query);
+  if (selection.error) {
+    return sendInvalid(res, [selection.error]);
+  }
+
+  const listOptions = parseListOptions(req.query);
+  const listError = validateListOptions(listOptions);
+  if (listError) {
+    return sendInvalid(res, [listError]);
+  }
+
+  try {
+    const result = await getAggregateContributors(selection, null, listOptions);
+    const contributors = result.data;
+
+    setFreshnessHeaders(res, result);
+    res.json({
+      organization: selection.org,
+      repositories: result.repositories,
+      failed_repositories: result.failed,
+      total_repositories: result.repositories.length,
+      total_contributors: contributors.length,
+      total_contributions: contributors.reduce((sum, c) => sum + (c.contributions || 0), 0),
+      contribution_types: listOptions.types.length ? sumContributionTypes(contributors) : undefined,
+      top_contributors: contributors.slice(0, 10).map(c => ({
+        username: c.login,
+        name: c.name,
+        anonymous: c.anonymous,
+        contributions: c.contributions,
+        types: c.types || undefined,
+        repositories: c.repositories,
+        avatar_url: c.avatar_url,
+        profile_url: c.html_url
+      })),
+      last_updated: new Date(Date.now() - result.age).toISOString(),
+      stale: result.status.startsWith('stale'),
+      data_source: result.source
+    });
+  } catch (error) {
+    console.error('Error fetching org stats:', error);
+    return sendError(res, error, 'Failed to fetch aggregated stats');
   }
 });
 
 // Health check endpoint
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
   res.json({ 
     status: 'ok', 
     timestamp: new Date().toISOString(),
-    cache_size: cache.size,
-    github_token: !!GITHUB_TOKEN,
+    cache_backend: cache.name,
+    cache_size: await cache.size(),
+    avatar_cache_size: await avatarCache.size(),
+    github_token: credentials.size > 0,
+    signed_urls: Boolean(BADGE_SIGNING_SECRET && TOKENS_API_KEY),
+    credentials: credentials.report(),
+    providers: providers.map(provider => provider.report()),
     version: '2.0.0'
   });
 });
 
 // Clear cache endpoint
-app.post('/clear-cache', (req, res) => {
-  const originalSize = cache.size;
-  cache.clear();
+app.post('/clear-cache', async (req, res) => {
+  const clearedEntries = await cache.clear() + await avatarCache.clear();
   res.json({ 
     message: 'Cache cleared successfully',
-    cleared_entries: originalSize,
+    cleared_entries: clearedEntries,
     timestamp: new Date().toISOString()
   });
 });
 
-// Repository info endpoint
-app.get('/repo-info', async (req, res) => {
-  const { repo } = req.query;
+// Create a signed badge URL (e.g. for a private repository).
+// Requires "Authorization: Bearer <TOKENS_API_KEY>". An optional github_token (ideally a
+// fine-grained token limited to the repository) is encrypted into the URL and used instead
+// of the server's credentials.
+app.post('/tokens', express.json(), async (req, res) => {
+  if (!BADGE_SIGNING_SECRET || !TOKENS_API_KEY) {
+    return res.status(503).json({ error: 'Signed URLs are not enabled on this server' });
+  }
+
+  if (!isTokensRequestAuthorized(req)) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Invalid or missing API key' });
+  }
+
+  const { errors, values } = validateBody(routes['/tokens'].body, req.body);
+  if (errors.length) {
+    return sendInvalid(res, errors);
+  }
+
+  const { repo, endpoint = '/badge', params = {}, expires_in = SIGNED_URL_DEFAULT_TTL, github_token } = values;
+
+  const reserved = ['repo', SIGNATURE_PARAM, EXPIRES_PARAM, CREDENTIAL_PARAM].find(name => name in params);
+  if (reserved) {
+    return sendInvalid(res, [{ field: `params.${reserved}`, message: `params may not contain "${reserved}"` }]);
+  }
+
+  // The params are what the signed URL will be requested with, so they must pass the route's validation
+  const { errors: paramErrors, values: query } = validateBody({ ...routes[endpoint].query, required: [] }, params);
+  if (paramErrors.length) {
+    return sendInvalid(res, paramErrors.map(error => ({ field: `params.${error.field}`, message: `params.${error.message}` })));
+  }
+
+  // The provider/host parameters are signed along with everything else
+  const { provider, error: providerError } = resolveProvider(providers, query);
+  if (providerError) {
+    return sendInvalid(res, [{ field: query.host ? 'params.host' : 'params.provider', message: providerError }]);
+  }
 
-  if (!repo) {
-    return res.status(400).json({ error: 'Repository parameter is required' });
+  const repoError = provider.validateRepo(repo);
+  if (repoError) {
+    return sendInvalid(res, [{ field: 'repo', message: repoError }]);
   }
 
   try {
-    const headers = {
-      'User-Agent': 'GitHub-Contributors-Badge-Service',
-      'Accept': 'application/vnd.github.v3+json'
-    };
+    // Make sure the token can actually read the repository before handing out a URL for it
+    if (github_token) {
+      const scope = `${provider.cachePrefix}tokens:${hashContent(github_token).slice(0, 16)}:`;
+      await provider.getRepoInfo(provider.createScopedClient(github_token, scope), repo);
+    }
 
-    if (GITHUB_TOKEN) {
-      headers['Authorization'] = `token ${GITHUB_TOKEN}`;
+    const expires = Math.floor(Date.now() / 1000) + Number(expires_in);
+    const signedQuery = { repo, ...query, [EXPIRES_PARAM]: expires };
+
+    if (github_token) {
+      signedQuery[CREDENTIAL_PARAM] = encryptCredential(github_token, BADGE_SIGNING_SECRET);
     }
 
-    const response = await axios.get(`${GITHUB_API_BASE}/repos/${repo}`, {
-      headers,
-      timeout: 5000
+    const signed = signParams(endpoint, signedQuery, BADGE_SIGNING_SECRET);
+
+    res.status(201).json({
+      repository: repo,
+      url: `${req.protocol}://${req.get('host')}${endpoint}?${new URLSearchParams(signed)}`,
+      expires_at: new Date(expires * 1000).toISOString(),
+      scoped_credential: Boolean(github_token)
     });
+  } catch (error) {
+    console.error('Error creating signed URL:', error);
+    return sendError(res, error, 'Failed to create signed URL');
+  }
+});
 
-    const repoInfo = {
-      name: response.data.name,
-      full_name: response.data.full_name,
-      description: response.data.description,
-      stars: response.data.stargazers_count,
-      forks: response.data.forks_count,
-      language: response.data.language,
-      created_at: response.data.created_at,
-      updated_at: response.data.updated_at,
-      html_url: response.data.html_url
-    };
+// Repository info endpoint
+app.get('/repo-info', validateRequest('/repo-info'), resolveBadgeAccess, async (req, res) => {
+  const { repo } = req.query;
+
+  try {
+    const { provider, client, signed } = currentAccess();
+    const { private: isPrivate, ...repoInfo } = await provider.getRepoInfo(client, repo);
+
+    if (isPrivate && !signed) {
+      throw new NotFoundError();
+    }
 
     res.json(repoInfo);
   } catch (error) {
     console.error('Error fetching repo info:', error);
-    
-    if (error.response?.status === 404) {
-      return res.status(404).json({ error: 'Repository not found' });
-    } else {
-      return res.status(500).json({ error: 'Failed to fetch repository information' });
-    }
+    return sendError(res, error, 'Failed to fetch repository information');
   }
 });
 
@@ -790,6 +2218,7 @@ const documentationHTML = `
           <strong>Basic Usage:</strong><br/>
           <code>https://your-service.com/badge?repo=username/repository</code>
         </div>
+        <p>Not sure which options to pick? The <a href="/builder">badge builder</a> previews every option and gives you Markdown, HTML, reStructuredText and AsciiDoc snippets to paste.</p>
 
         <h2>📋 API Endpoints</h2>
         
@@ -798,17 +2227,40 @@ const documentationHTML = `
           <p>Generate a contributor badge with customizable options</p>
           <table>
             <tr><th>Parameter</th><th>Type</th><th>Default</th><th>Description</th></tr>
-            <tr><td>repo</td><td>string</td><td>required</td><td>Repository in format "owner/repo"</td></tr>
+            <tr><td>repo</td><td>string</td><td>required</td><td>Repository in format "owner/repo" (GitLab: "group/subgroup/project")</td></tr>
+            <tr><td>provider</td><td>string</td><td>"github"</td><td>"github", or a configured "ghes", "gitlab" or "gitea" host</td></tr>
+            <tr><td>host</td><td>string</td><td>-</td><td>Select a configured host by name instead, e.g. "gitlab.com". GitLab and Gitea support the basic list and filters, not since/until, coauthors, types or source</td></tr>
             <tr><td>limit</td><td>number|"all"</td><td>10</td><td>Number of contributors (1-100) or "all"</td></tr>
-            <tr><td>style</td><td>string</td><td>"horizontal"</td><td>"horizontal" or "grid"</td></tr>
-            <tr><td>theme</td><td>string</td><td>"light"</td><td>"light" or "dark"</td></tr>
+            <tr><td>style</td><td>string</td><td>"horizontal"</td><td>"horizontal", "grid", "facepile" (overlapping avatars, 8 or <code>columns</code> shown plus a "+N" bubble for the rest of <code>limit</code>), "podium" (top 3) or "list" (contribution counts as bars)</td></tr>
+            <tr><td>theme</td><td>string</td><td>"light"</td><td>"light", "dark", "github-dimmed", "high-contrast", "high-contrast-light", "solarized", "solarized-dark", "dracula", "nord", or "auto" to follow the viewer's light/dark mode</td></tr>
+            <tr><td>bg, text, border, accent</td><td>string</td><td>-</td><td>Override theme colors with hex values, e.g. "accent=ff5722" (accent is the hover color)</td></tr>
+            <tr><td>size</td><td>number</td><td>40</td><td>Avatar size in pixels (16-128), labels scale with it</td></tr>
+            <tr><td>shape</td><td>string</td><td>"circle"</td><td>"circle", "rounded" or "square"</td></tr>
+            <tr><td>gap</td><td>number</td><td>12</td><td>Space between avatars in pixels (0-64)</td></tr>
+            <tr><td>columns</td><td>number</td><td>-</td><td>Avatars per row (1-50), wraps horizontal badges too. Badges are capped at 4096x4096 pixels</td></tr>
+            <tr><td>width</td><td>number</td><td>-</td><td>Fixed badge width in pixels (100-4096), avatars wrap to fill it</td></tr>
+            <tr><td>labels</td><td>string</td><td>"login"</td><td>"login", "name" (display name when known) or "none" (name shown on hover)</td></tr>
+            <tr><td>truncate</td><td>number|"none"</td><td>8</td><td>Shorten labels to this many characters (0-100), "none" for full labels</td></tr>
             <tr><td>avatars</td><td>string</td><td>"true"</td><td>"true" or "false" to include/exclude avatars</td></tr>
+            <tr><td>anon</td><td>string</td><td>"false"</td><td>"true" to include contributors whose commit email isn't linked to a GitHub account (shown by name)</td></tr>
+            <tr><td>coauthors</td><td>string</td><td>"false"</td><td>"true" to credit <code>Co-authored-by:</code> trailers from recent commits</td></tr>
+            <tr><td>exclude_bots</td><td>string</td><td>"false"</td><td>"true" to hide bots such as dependabot[bot] and github-actions[bot]</td></tr>
+            <tr><td>exclude</td><td>string</td><td>-</td><td>Comma-separated logins to hide, e.g. "user1,user2"</td></tr>
+            <tr><td>include</td><td>string</td><td>-</td><td>Comma-separated logins to show exclusively (allow-list)</td></tr>
+            <tr><td>since</td><td>string</td><td>-</td><td>Only count commits after a date ("2024-01-01"), a relative window ("90d", "12w", "6m", "1y") or a tag/ref ("v2.0.0")</td></tr>
+            <tr><td>until</td><td>string</td><td>-</td><td>Only count commits before a date or tag/ref</td></tr>
+            <tr><td>types</td><td>string</td><td>-</td><td>"all" or a comma-separated subset of code, doc, review, issue, comment. Shows 💻 📖 👀 🐛 💬 markers under each avatar and ranks contributors by total activity (recent issues, comments and pull request reviews)</td></tr>
+            <tr><td>source</td><td>string</td><td>"api"</td><td>"allcontributors" to list the repository's <code>.all-contributorsrc</code> (file order, profile links and contribution types). Invalid files are reported as a 422 with details</td></tr>
+            <tr><td>merge</td><td>string</td><td>"false"</td><td>With source=allcontributors, "true" adds commit counts and the API contributors missing from the file</td></tr>
+            <tr><td>format</td><td>string</td><td>"svg"</td><td>"svg", "png" or "webp" (raster formats for places that don't render SVG)</td></tr>
+            <tr><td>scale</td><td>number</td><td>1</td><td>Raster scale factor (1-4), e.g. 2 for retina screens. Large badges are rendered at a lower scale to stay within 4 megapixels</td></tr>
           </table>
         </div>
 
         <div class="endpoint">
           <h3>GET /badge/all</h3>
           <p>Generate badge with ALL contributors (automatically switches to grid for large repos)</p>
+          <p><code>max</code> (1-1000) caps the avatars shown and ends the badge with a "+1,234 more contributors" tile linking to the repository's contributors page. <code>per_page</code> (1-500) and <code>page</code> split the list into several badges. The full count is sent in the <code>X-Total-Count</code> header</p>
         </div>
 
         <div class="endpoint">
@@ -816,9 +2268,39 @@ const documentationHTML = `
           <p>Fast badge generation without avatar loading (uses fallback patterns only)</p>
         </div>
 
+        <div class="endpoint">
+          <h3>GET /badge/custom</h3>
+          <p>Badge with a header band: <code>title</code> and <code>subtitle</code> (up to 100 characters each, drawn in the theme's colors). <code>show_contributions=true</code> adds each contributor's commit count under their name. Accepts the same options as <code>/badge</code>.</p>
+        </div>
+
+        <div class="endpoint">
+          <h3>GET /badge/org</h3>
+          <p>One badge for a whole organization (<code>org=name</code>) or a list of repositories (<code>repos=owner/a,owner/b</code>). Contributions are summed per account across repositories. Forks and archived repositories are skipped unless <code>forks=true</code> / <code>archived=true</code>. Accepts the same options as <code>/badge</code>.</p>
+        </div>
+
+        <div class="endpoint">
+          <h3>GET /stats/org</h3>
+          <p>JSON form of <code>/badge/org</code>, including per-contributor repository counts</p>
+        </div>
+
         <div class="endpoint">
           <h3>GET /stats</h3>
-          <p>Get repository contributor statistics as JSON</p>
+          <p>Get repository contributor statistics as JSON. <code>data_source</code> tells where the list came from: <code>contributors</code> (GitHub contributors API), <code>commits</code> (recent commit authors, used when GitHub reports the history is too large) or <code>empty</code> (no commits yet).</p>
+        </div>
+
+        <div class="endpoint">
+          <h3>POST /tokens</h3>
+          <p>Create a signed, expiring URL for a badge or stats endpoint, e.g. for a private repository. Requires <code>Authorization: Bearer &lt;TOKENS_API_KEY&gt;</code> and a JSON body <code>{"repo": "owner/private-repo", "endpoint": "/badge", "params": {"limit": 10}, "expires_in": 2592000, "github_token": "optional token limited to this repository"}</code>. The signature covers the repository and every option, and unsigned requests never see private repositories.</p>
+        </div>
+
+        <div class="endpoint">
+          <h3>POST /webhook/github</h3>
+          <p>Refresh a repository's badges as soon as its contributors change. In the repository (or organization) settings, add a webhook with the payload URL <code>https://your-server/webhook/github</code>, content type <code>application/json</code>, the server's <code>GITHUB_WEBHOOK_SECRET</code> as secret, and the <em>Pushes</em> and <em>Pull requests</em> events. Pushes to the default branch and pull requests merged into it drop exactly that repository's cached badges and stats; other events are acknowledged and ignored. Deliveries without a valid <code>X-Hub-Signature-256</code> are rejected.</p>
+        </div>
+
+        <div class="endpoint">
+          <h3>POST /webhook/invalidate</h3>
+          <p>Drop a repository's cached badges and stats from a script or another code host's webhook. Requires <code>Authorization: Bearer &lt;TOKENS_API_KEY&gt;</code> and a JSON body <code>{"repo": "owner/repo"}</code>, plus <code>"provider"</code> or <code>"host"</code> for repositories outside github.com.</p>
         </div>
 
         <div class="endpoint">
@@ -831,6 +2313,21 @@ const documentationHTML = `
           <p>Service health check</p>
         </div>
 
+        <div class="endpoint">
+          <h3>GET /openapi.json</h3>
+          <p>OpenAPI 3.1 description of the badge, stats and repository endpoints. Invalid parameters are rejected with a 400 listing every problem: <code>{"error": "Invalid request parameters", "errors": [{"field": "limit", "message": "limit must be ..."}]}</code></p>
+        </div>
+
+        <div class="endpoint">
+          <h3>GET /badge/options</h3>
+          <p>JSON Schema of the <code>/badge</code> parameters (types, allowed values, ranges and defaults), for tools that build badge URLs</p>
+        </div>
+
+        <div class="endpoint">
+          <h3>GET /builder</h3>
+          <p>Interactive badge builder with a live preview and embed code</p>
+        </div>
+
         <h2>🔧 Examples</h2>
         
         <div class="example">
@@ -844,13 +2341,52 @@ const documentationHTML = `
         </div>
 
         <div class="example">
-          <strong>Dark Theme:</strong><br/>
-          <code>https://your-service.com/badge?repo=microsoft/vscode&theme=dark</code>
+          <strong>Facepile, Podium and List Layouts:</strong><br/>
+          <code>https://your-service.com/badge?repo=microsoft/vscode&style=facepile&limit=50</code><br/>
+          <code>https://your-service.com/badge?repo=microsoft/vscode&style=podium&size=64</code><br/>
+          <code>https://your-service.com/badge?repo=microsoft/vscode&style=list&limit=10</code>
+        </div>
+
+        <div class="example">
+          <strong>Themes:</strong><br/>
+          <code>https://your-service.com/badge?repo=microsoft/vscode&theme=dark</code><br/>
+          <code>https://your-service.com/badge?repo=microsoft/vscode&theme=auto</code> (matches GitHub's light and dark modes)<br/>
+          <code>https://your-service.com/badge?repo=microsoft/vscode&theme=dracula&accent=50fa7b</code>
+        </div>
+
+        <div class="example">
+          <strong>Avatar Size, Shape and Labels:</strong><br/>
+          <code>https://your-service.com/badge?repo=microsoft/vscode&size=64&shape=rounded&labels=name&truncate=none</code><br/>
+          <code>https://your-service.com/badge?repo=microsoft/vscode&limit=30&size=24&gap=4&columns=10&labels=none</code>
+        </div>
+
+        <div class="example">
+          <strong>Contributors in the last 90 days / since a release:</strong><br/>
+          <code>https://your-service.com/badge?repo=microsoft/vscode&since=90d</code><br/>
+          <code>https://your-service.com/badge?repo=microsoft/vscode&since=v2.0.0</code>
+        </div>
+
+        <div class="example">
+          <strong>Credit reviews, issues and comments too:</strong><br/>
+          <code>https://your-service.com/badge?repo=microsoft/vscode&types=all</code>
+        </div>
+
+        <div class="example">
+          <strong>GitLab (nested groups) and self-hosted Gitea:</strong><br/>
+          <code>https://your-service.com/badge?provider=gitlab&repo=gitlab-org/ci-cd/gitlab-runner</code><br/>
+          <code>https://your-service.com/badge?host=gitea.example.com&repo=team/project</code>
+        </div>
+
+        <div class="example">
+          <strong>From .all-contributorsrc:</strong><br/>
+          <code>https://your-service.com/badge?repo=all-contributors/all-contributors&source=allcontributors</code>
         </div>
 
         <div class="example">
           <strong>All Contributors:</strong><br/>
-          <code>https://your-service.com/badge/all?repo=microsoft/vscode</code>
+          <code>https://your-service.com/badge/all?repo=microsoft/vscode</code><br/>
+          <code>https://your-service.com/badge/all?repo=microsoft/vscode&max=100&width=800</code><br/>
+          <code>https://your-service.com/badge/all?repo=microsoft/vscode&per_page=100&page=2</code>
         </div>
 
         <div class="example">
@@ -858,15 +2394,34 @@ const documentationHTML = `
           <code>https://your-service.com/badge/fast?repo=microsoft/vscode&limit=10</code>
         </div>
 
+        <div class="example">
+          <strong>PNG for Slack, npm and email (2x for retina):</strong><br/>
+          <code>https://your-service.com/badge?repo=microsoft/vscode&format=png&scale=2</code>
+        </div>
+
         <div class="warning">
-          <strong>⚠️ Rate Limiting:</strong> GitHub API has rate limits. For production use, set up a GitHub Personal Access Token via the GITHUB_TOKEN environment variable.
+          <strong>⚠️ Rate Limiting:</strong> GitHub API has rate limits. For production use, set up a GitHub Personal Access Token via the GITHUB_TOKEN environment variable, a pool of tokens via GITHUB_TOKENS, or a GitHub App. Requests automatically use the credential with the most remaining quota.
         </div>
 
         <h2>🚀 Deployment</h2>
         <div class="example">
           <strong>Environment Variables:</strong><br/>
           <code>GITHUB_TOKEN=your_github_token_here</code> (optional but recommended)<br/>
-          <code>PORT=3000</code> (optional, defaults to 3000)
+          <code>GITHUB_TOKENS=token_one,token_two</code> (optional pool of tokens, rotated by remaining quota)<br/>
+          <code>GITHUB_APP_ID</code>, <code>GITHUB_APP_PRIVATE_KEY</code> (or <code>GITHUB_APP_PRIVATE_KEY_PATH</code>), <code>GITHUB_APP_INSTALLATION_ID</code> (optional, authenticate as a GitHub App)<br/>
+          <code>GHES_URL=https://github.example.com</code>, <code>GHES_TOKEN</code> (optional, GitHub Enterprise Server)<br/>
+          <code>GITLAB_URL=https://gitlab.com</code>, <code>GITLAB_TOKEN</code> (optional, GitLab host, defaults to gitlab.com)<br/>
+          <code>GITEA_URL=https://gitea.example.com</code>, <code>GITEA_TOKEN</code> (optional, Gitea/Forgejo host)<br/>
+          <code>BADGE_SIGNING_SECRET</code>, <code>TOKENS_API_KEY</code> (optional, enable signed URLs and the <code>/tokens</code> API)<br/>
+          <code>GITHUB_WEBHOOK_SECRET</code> (optional, enables <code>POST /webhook/github</code>), <code>WEBHOOK_PREWARM=true</code> (optional, fetch public badges again right after a webhook)<br/>
+          <code>PORT=3000</code> (optional, defaults to 3000)<br/>
+          <code>CACHE_BACKEND=memory|filesystem|redis</code> (optional, defaults to memory)<br/>
+          <code>CACHE_TTL=300</code> (optional, cache lifetime in seconds)<br/>
+          <code>CACHE_STALE_WHILE_REVALIDATE=3600</code>, <code>CACHE_MAX_STALE=86400</code> (optional, seconds expired data may be served)<br/>
+          <code>CACHE_MAX_ENTRIES=1000</code>, <code>CACHE_MAX_BYTES=67108864</code> (memory backend limits, the filesystem backend defaults to 10000 entries and 512 MB)<br/>
+          <code>CACHE_DIR=/var/cache/badges</code> (filesystem backend), <code>REDIS_URL=redis://host:6379</code> (redis backend)<br/>
+          <code>AVATAR_CACHE_TTL=86400</code>, <code>AVATAR_CONCURRENCY=8</code>, <code>AVATAR_EMBED_BUDGET=4194304</code> (optional, avatar thumbnail lifetime, parallel downloads and embedded bytes per badge)<br/>
+          <code>AVATAR_CACHE_MAX_ENTRIES=10000</code>, <code>AVATAR_CACHE_MAX_BYTES=33554432</code> (optional, limits of the in-memory avatar thumbnail store)
         </div>
 
         <div class="example">
@@ -878,17 +2433,20 @@ const documentationHTML = `
         <h2>📊 Response Formats</h2>
         
         <div class="example">
-          <strong>Badge endpoints return:</strong> SVG image<br/>
+          <strong>Badge endpoints return:</strong> SVG image, or PNG/WebP with <code>format=png|webp</code><br/>
           <strong>Stats endpoint returns:</strong> JSON with contributor statistics<br/>
           <strong>Health endpoint returns:</strong> JSON with service status
         </div>
 
         <h2>🔒 Security & Performance</h2>
         <ul>
-          <li>5-minute caching for contributor data</li>
-          <li>Base64 avatar encoding for reliability</li>
+          <li>5-minute caching for contributor data (memory, filesystem or Redis backend)</li>
+          <li>Expired data is served instantly while it refreshes in the background (<code>X-Cache-Status: stale</code>)</li>
+          <li>The last good badge keeps being served when GitHub is unavailable (<code>X-Cache-Status: stale-if-error</code>)</li>
+          <li>Avatars embedded as thumbnails sized for the badge, downloaded once and shared by all badges</li>
           <li>Graceful fallbacks for failed avatar loads</li>
           <li>Rate limit handling with proper error messages</li>
+          <li>Conditional requests: GitHub ETags are revalidated with <code>If-None-Match</code>, and badges carry an <code>ETag</code> so clients and CDNs get <code>304 Not Modified</code></li>
           <li>CORS enabled for web integration</li>
         </ul>
 
@@ -904,28 +2462,191 @@ app.get('/', (req, res) => {
   res.send(documentationHTML);
 });
 
-// Add webhook endpoint for cache invalidation
-app.post('/webhook/invalidate', (req, res) => {
-  const { repo } = req.body;
-  
-  if (!repo) {
-    return res.status(400).json({ error: 'Repository parameter is required' });
+// The badge options don't change while the server runs
+const badgeOptions = badgeOptionsSchema(routes, providers);
+
+// JSON Schema of the /badge parameters, used by the builder page
+app.get('/badge/options', (req, res) => {
+  res.setHeader('Cache-Control', 'public, max-age=3600');
+  res.json(badgeOptions);
+});
+
+// OpenAPI document of the GET and POST routes
+const openApi = openApiDocument(routes, { version: '2.0.0', signedRoutes: SIGNABLE_ROUTES });
+
+app.get('/openapi.json', (req, res) => {
+  res.setHeader('Cache-Control', 'public, max-age=3600');
+  res.json(openApi);
+});
+
+// Interactive badge builder
+app.get('/builder', (req, res) => {
+  res.send(builderHTML);
+});
+
+// Helper function to check whether a cache key holds data of `repo` on `provider`: its contributor
+// lists and rasters (public and signed partitions) and the aggregates that include it.
+// GitHub API validators (etag:) are kept, they are revalidated on every request anyway.
+function isRepoCacheKey(key, provider, repo) {
+  const otherPrefixes = providers.map(other => other.cachePrefix).filter(prefix => prefix && prefix !== provider.cachePrefix);
+  if (!key.startsWith(provider.cachePrefix) || otherPrefixes.some(prefix => key.startsWith(prefix))) {
+    return false;
+  }
+
+  // GitHub treats repository names case-insensitively, badges may spell them either way
+  const rest = key.slice(provider.cachePrefix.length).replace(/^signed:[^:]+:/, '').toLowerCase();
+  const name = repo.toLowerCase();
+
+  if (rest.startsWith(`${name}:`)) {
+    return true;
+  }
+
+  // aggregate:<org>,<repo>,<repo>:<options>
+  const aggregate = rest.match(/^aggregate:([^:]*):/);
+  if (!aggregate) {
+    return false;
+  }
+
+  const [org, ...repos] = aggregate[1].split(',');
+  return org === name.split('/')[0] || repos.includes(name);
+}
+
+// Helper function to drop the cached data of a repository, returns the deleted keys
+async function invalidateRepository(provider, repo) {
+  const keys = (await cache.keys()).filter(key => isRepoCacheKey(key, provider, repo));
+  await Promise.all(keys.map(key => cache.delete(key)));
+  return keys;
+}
+
+// Helper function to fetch the public contributor lists of a repository again after an
+// invalidation (or the default badge's, when none were cached), so the next view is a cache hit.
+// Lists with filters or options are fetched again on their next view.
+async function prewarmRepository(provider, repo, deletedKeys) {
+  const lists = new Map();
+
+  for (const key of deletedKeys) {
+    const match = key.slice(provider.cachePrefix.length).match(/^([^:]+\/[^:]+):(\d+|all)$/);
+    if (match && match[1].toLowerCase() === repo.toLowerCase()) {
+      lists.set(match[0], { repo: match[1], limit: match[2] });
+    }
+  }
+
+  if (lists.size === 0) {
+    lists.set('default', { repo, limit: '10' });
+  }
+
+  const access = { signed: false, provider, client: provider.client, cachePrefix: provider.cachePrefix };
+  const results = await requestAccess.run(access, () => Promise.allSettled(Array.from(lists.values()).map(list => (
+    list.limit === 'all' ? getAllContributors(list.repo) : getContributors(list.repo, Number(list.limit))
+  ))));
+
+  for (const result of results.filter(result => result.status === 'rejected')) {
+    console.warn(`Prewarming ${repo} failed:`, result.reason.message);
+  }
+}
+
+// GitHub webhook receiver. A push to the default branch or a merged pull request drops the
+// repository's cached badges and stats (and with WEBHOOK_PREWARM=true fetches them again).
+// Deliveries must be signed with GITHUB_WEBHOOK_SECRET and sent as application/json.
+app.post('/webhook/github', express.raw({ type: () => true, limit: '25mb' }), async (req, res) => {
+  if (!GITHUB_WEBHOOK_SECRET) {
+    return res.status(503).json({ error: 'GitHub webhooks are not enabled on this server' });
   }
 
-  // Clear cache entries for this repository
-  const keysToDelete = [];
-  for (const key of cache.keys()) {
-    if (key.startsWith(repo)) {
-      keysToDelete.push(key);
+  // The signature covers the exact bytes GitHub sent, so the body is parsed only after checking it
+  const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  if (!verifyWebhookSignature(body, req.get('X-Hub-Signature-256'), GITHUB_WEBHOOK_SECRET)) {
+    return res.status(401).json({ error: 'Invalid or missing X-Hub-Signature-256 signature' });
+  }
+
+  const event = req.get('X-GitHub-Event');
+  if (event === 'ping') {
+    return res.json({ message: 'pong' });
+  }
+
+  if (!req.is('application/json')) {
+    return res.status(415).json({ error: 'Webhooks must use the content type application/json' });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(body.toString('utf8'));
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid JSON payload' });
+  }
+
+  const { repo, host, isPrivate, ignored } = webhookRepository(event, payload);
+  if (ignored) {
+    // Still a successful delivery, GitHub shows the reason in the webhook's recent deliveries
+    return res.json({ message: 'Event ignored', reason: ignored });
+  }
+
+  const provider = providers.find(candidate => candidate.githubApi && candidate.host === host);
+  if (!provider) {
+    return res.status(422).json({ error: `Host "${host}" is not configured` });
+  }
+
+  try {
+    const deletedKeys = await invalidateRepository(provider, repo);
+    // Private repositories are only cached for signed URLs, which can't be fetched from here
+    const prewarm = WEBHOOK_PREWARM && !isPrivate;
+
+    res.json({
+      message: 'Cache invalidated successfully',
+      repository: repo,
+      event,
+      cleared_entries: deletedKeys.length,
+      prewarming: prewarm,
+      timestamp: new Date().toISOString()
+    });
+
+    if (prewarm) {
+      prewarmRepository(provider, repo, deletedKeys).catch(error => {
+        console.warn(`Prewarming ${repo} failed:`, error.message);
+      });
     }
+  } catch (error) {
+    console.error('Error handling GitHub webhook:', error);
+    res.status(500).json({ error: 'Failed to invalidate cache' });
+  }
+});
+
+// Cache invalidation for scripts and other code hosts.
+// Requires "Authorization: Bearer <TOKENS_API_KEY>" and a JSON body {"repo": "owner/repo"}
+// (plus "provider" or "host" for repositories that aren't on github.com).
+app.post('/webhook/invalidate', express.json(), async (req, res) => {
+  if (!TOKENS_API_KEY) {
+    return res.status(503).json({ error: 'Cache invalidation is not enabled on this server' });
+  }
+
+  if (!isTokensRequestAuthorized(req)) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Invalid or missing API key' });
+  }
+
+  const { errors, values } = validateBody(routes['/webhook/invalidate'].body, req.body);
+  if (errors.length) {
+    return sendInvalid(res, errors);
+  }
+
+  const { repo, host } = values;
+
+  const { provider, error: providerError } = resolveProvider(providers, values);
+  if (providerError) {
+    return sendInvalid(res, [{ field: host ? 'host' : 'provider', message: providerError }]);
+  }
+
+  const repoError = provider.validateRepo(repo);
+  if (repoError) {
+    return sendInvalid(res, [{ field: 'repo', message: repoError }]);
   }
 
-  keysToDelete.forEach(key => cache.delete(key));
+  const deletedKeys = await invalidateRepository(provider, repo);
 
   res.json({ 
     message: 'Cache invalidated successfully',
     repository: repo,
-    cleared_entries: keysToDelete.length,
+    cleared_entries: deletedKeys.length,
     timestamp: new Date().toISOString()
   });
 });
@@ -971,26 +2692,41 @@ function trackAnalytics(req, res, next) {
 // Apply analytics middleware to badge endpoints
 app.use('/badge', trackAnalytics);
 
-// Add batch endpoint for multiple repositories
-app.post('/batch', async (req, res) => {
-  const { repositories, limit = 5, style = 'horizontal', theme = 'light' } = req.body;
+// Add batch endpoint for multiple repositories.
+// Options are validated like the /badge route's and every badge URL carries all of them, so the
+// linked badge shows the same list as the JSON next to it.
+app.post('/batch', express.json(), async (req, res) => {
+  const { errors, values: { repositories: list, ...options } } = validateBody(routes['/batch'].body, req.body);
+  const repositories = list ? splitList(list) : [];
+  const query = { limit: '5', ...options };
+
+  repositories.forEach((repo, index) => {
+    const repoError = providers[0].validateRepo(repo);
+    if (repoError) {
+      errors.push({ field: `repositories[${index}]`, message: repoError });
+    }
+  });
 
-  if (!repositories || !Array.isArray(repositories)) {
-    return res.status(400).json({ error: 'repositories array is required' });
+  const listOptions = parseListOptions(query);
+  const listError = errors.length ? null : validateListOptions(listOptions);
+  if (errors.length || listError) {
+    return sendInvalid(res, listError ? [listError] : errors);
   }
 
-  if (repositories.length > 10) {
-    return res.status(400).json({ error: 'Maximum 10 repositories allowed per batch request' });
-  }
+  const { limit } = query;
 
   try {
     const results = await Promise.allSettled(
       repositories.map(async (repo) => {
-        const contributors = await getContributors(repo, limit, false); // Fast mode for batch
+        const { data: contributors, source } = limit === 'all'
+          ? await getAllContributors(repo, listOptions)
+          : await getContributors(repo, Number(limit), listOptions);
+
         return {
           repository: repo,
-          contributors: contributors.slice(0, limit),
-          badge_url: `/badge?repo=${encodeURIComponent(repo)}&limit=${limit}&style=${style}&theme=${theme}`,
+          data_source: source,
+          contributors,
+          badge_url: `/badge?${new URLSearchParams({ repo, ...query })}`,
           contributor_count: contributors.length
         };
       })
@@ -1001,9 +2737,10 @@ app.post('/batch', async (req, res) => {
       .map(result => result.value);
 
     const failed = results
-      .filter(result => result.status === 'rejected')
-      .map((result, index) => ({
-        repository: repositories[index],
+      .map((result, index) => ({ result, repository: repositories[index] }))
+      .filter(({ result }) => result.status === 'rejected')
+      .map(({ result, repository }) => ({
+        repository,
         error: result.reason.message
       }));
 
@@ -1020,96 +2757,99 @@ app.post('/batch', async (req, res) => {
 });
 
 // Add custom badge generation with additional metadata
-app.get('/badge/custom', async (req, res) => {
+app.get('/badge/custom', validateRequest('/badge/custom'), resolveBadgeAccess, async (req, res) => {
   const { 
     repo, 
     limit = 10, 
     style = 'horizontal', 
-    theme = 'light',
     title,
     subtitle,
-    show_contributions = 'false'
+    show_contributions = 'false',
+    avatars = 'true',
+    format = 'svg',
+    scale = 1
   } = req.query;
 
-  if (!repo) {
-    return res.status(400).json({ error: 'Repository parameter is required' });
+  const { theme } = resolveTheme(req.query);
+  const { layout } = resolveLayout(req.query);
+
+  const listOptions = parseListOptions(req.query);
+  const listError = validateListOptions(listOptions);
+  if (listError) {
+    return sendInvalid(res, [listError]);
   }
 
   try {
-    const contributors = await getContributors(repo, parseInt(limit), true);
+    let result;
+    let finalStyle = style;
+    const includeAvatars = avatars !== 'false';
+
+    if (limit === 'all') {
+      result = await getAllContributors(repo, listOptions);
+
+      if (result.data.length > 20 && style === 'horizontal') {
+        finalStyle = 'grid';
+      }
+    } else {
+      const limitNum = Number(limit);
+      result = await getContributors(repo, limitNum, listOptions);
+    }
+
+    const contributors = includeAvatars ? await embedAvatars(result.data, layout) : result.data;
     
     // Generate custom SVG with title and subtitle
     const customSVG = generateCustomSVGBadge(
       contributors, 
-      style, 
+      finalStyle, 
       theme, 
+      layout, 
       title, 
       subtitle, 
       show_contributions === 'true'
     );
     
-    res.setHeader('Content-Type', 'image/svg+xml');
-    res.setHeader('Cache-Control', 'public, max-age=300, s-maxage=300');
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.send(customSVG);
+    await sendBadge(res, customSVG, { repo, format, scale, result });
   } catch (error) {
     console.error('Error generating custom badge:', error);
-    res.status(500).json({ error: 'Failed to generate custom badge' });
+    return sendError(res, error, 'Failed to generate custom badge');
   }
 });
 
-// Function to generate custom SVG badge with additional features
-function generateCustomSVGBadge(contributors, style, theme, title, subtitle, showContributions) {
-  // This would be an enhanced version of generateSVGBadge with custom title, subtitle, and contribution counts
-  const headerHeight = (title || subtitle) ? 60 : 0;
-  const contributionHeight = showContributions ? 20 : 0;
-  
-  // Call the original function and modify the output
-  let baseSVG = generateSVGBadge(contributors, style, theme);
-  
-  // Add custom elements if title or subtitle are provided
-  if (title || subtitle) {
-    // Insert title and subtitle elements into the SVG
-    // This would require parsing and modifying the SVG structure
-    // For brevity, this is a simplified version
-    baseSVG = baseSVG.replace(
-      '<rect width=', 
-      `<text x="50%" y="30" text-anchor="middle" font-size="16" font-weight="bold" fill="#24292e">${title || ''}</text>
-       <text x="50%" y="50" text-anchor="middle" font-size="12" fill="#586069">${subtitle || ''}</text>
-       <rect width=`
-    );
-  }
-  
-  return baseSVG;
+// Function to generate custom SVG badge with a title/subtitle header and contribution counts
+function generateCustomSVGBadge(contributors, style, theme, layout, title, subtitle, showContributions) {
+  return generateSVGBadge(contributors, style, theme, layout, { title, subtitle, showContributions });
 }
 
-// Add server startup configuration
-const PORT = process.env.PORT || 3000;
-const server = app.listen(PORT, () => {
-  console.log(`🚀 GitHub Contributors Badge Service running on port ${PORT}`);
-  console.log(`📖 Documentation available at http://localhost:${PORT}/`);
-  console.log(`🔑 GitHub Token: ${GITHUB_TOKEN ? 'Configured' : 'Not configured (rate limited)'}`);
-});
+// Add server startup configuration (only when run directly, tests require the module)
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+  const server = app.listen(PORT, () => {
+    console.log(`🚀 GitHub Contributors Badge Service running on port ${PORT}`);
+    console.log(`📖 Documentation available at http://localhost:${PORT}/`);
+    console.log(`🔑 GitHub credentials: ${credentials.size ? `${credentials.size} configured` : 'Not configured (rate limited)'}`);
+  });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully...');
-  server.close(() => {
-    console.log('Server closed.');
-    process.exit(0);
+  // Graceful shutdown
+  process.on('SIGTERM', () => {
+    console.log('SIGTERM received, shutting down gracefully...');
+    server.close(() => {
+      console.log('Server closed.');
+      process.exit(0);
+    });
   });
-});
 
-// Handle uncaught exceptions
-process.on('uncaughtException', (error) => {
-  console.error('Uncaught Exception:', error);
-  process.exit(1);
-});
+  // Handle uncaught exceptions
+  process.on('uncaughtException', (error) => {
+    console.error('Uncaught Exception:', error);
+    process.exit(1);
+  });
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-  process.exit(1);
-});
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+    process.exit(1);
+  });
+}
 
-// Export the app for testing
-module.exports = app;
\ No newline at end of file
+// Export the app for testing, and the badge renderer for the markup tests
+module.exports = app;
+module.exports.generateSVGBadge = generateSVGBadge;
\ No newline at end of file
@@ -0,0 +1,49 @@
+// avatars.test.js - Avatar embedding: allowed hosts only, thumbnails shared between badges
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { addRepository, makeContributors, requests, startApp } = require('./helpers');
+const { AvatarStore } = require('../lib/avatars');
+const { MemoryCache } = require('../lib/cache');
+
+let app;
+
+test.before(async () => {
+  addRepository('o/r', {
+    contributors: makeContributors(2),
+    config: {
+      projectName: 'r',
+      projectOwner: 'o',
+      contributors: [
+        { login: 'internal', name: 'Internal', avatar_url: 'https://169.254.169.254/latest/meta-data', profile: 'https://example.com', contributions: ['doc'] },
+        { login: 'user0', name: 'User 0', avatar_url: 'https://avatars.githubusercontent.com/u/1?v=4', profile: 'https://example.com', contributions: ['code'] }
+      ]
+    }
+  });
+  app = await startApp();
+});
+
+test.after(() => app.close());
+
+test('avatars are only fetched from the configured and well-known avatar hosts', () => {
+  const store = new AvatarStore({ cache: new MemoryCache(), ttl: 1000, hosts: ['gitlab.example.com'] });
+
+  assert.ok(store.isAllowed('https://avatars.githubusercontent.com/u/1?v=4'));
+  assert.ok(store.isAllowed('https://secure.gravatar.com/avatar/abc'));
+  assert.ok(store.isAllowed('https://GitLab.example.com/uploads/avatar.png'));
+  assert.equal(store.isAllowed('https://169.254.169.254/latest/meta-data'), false);
+  assert.equal(store.isAllowed('https://avatars.githubusercontent.com.evil.com/u/1'), false);
+  assert.equal(store.isAllowed('https://localhost:6379/'), false);
+  assert.equal(store.isAllowed('file:///etc/passwd'), false);
+  assert.equal(store.isAllowed('not a url'), false);
+});
+
+test('avatars listed in .all-contributorsrc on other hosts fall back to initials', async () => {
+  requests.length = 0;
+  const response = await fetch(`${app.url}/badge?repo=o/r&source=allcontributors`);
+  const body = await response.text();
+
+  assert.equal(response.status, 200);
+  assert.equal(requests.filter(url => url.includes('169.254.169.254')).length, 0);
+  assert.equal((body.match(/<image /g) || []).length, 1);
+  assert.match(body, /class="avatar-initial">I<\/text>/);
+});
@@ -0,0 +1,81 @@
+// badge.test.js - Hostile contributor data and headers rendered through every badge style
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSVGBadge } = require('../server');
+const { BADGE_STYLES, resolveLayout } = require('../lib/layout');
+const { resolveTheme } = require('../lib/themes');
+
+const HOSTILE = '<script>alert(1)</script>]]>"\'&\u0000\u0007\u001b';
+
+// Every element a badge is built from, anything else means a value escaped into the markup
+const ALLOWED_ELEMENTS = new Set([
+  'svg', 'defs', 'clipPath', 'filter', 'feDropShadow', 'style', 'g', 'a', 'title',
+  'text', 'tspan', 'rect', 'circle', 'image', 'line', 'path'
+]);
+
+// Helper function to build a contributor whose every field carries a payload
+function hostileContributor(index) {
+  return {
+    id: index + 1,
+    login: `${HOSTILE}${index}`,
+    name: `${HOSTILE} name ${index}`,
+    anonymous: false,
+    avatar_url: 'javascript:alert(1)',
+    avatar_base64: index % 2
+      ? 'data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9ImFsZXJ0KDEpIi8+'
+      : 'data:image/png;base64,AAAA" onload="alert(1)',
+    html_url: index % 2 ? 'javascript:alert(document.domain)' : 'data:text/html,<script>alert(1)</script>',
+    contributions: 10 - index,
+    types: { code: 10 - index, doc: 1 },
+    fallback: { color: '#FF6B6B" onload="alert(1)', initial: '<' }
+  };
+}
+
+// Helper function to check rendered markup for anything a payload could have injected
+function assertInert(markup) {
+  for (const [, name] of markup.matchAll(/<\/?([A-Za-z][\w:-]*)/g)) {
+    assert.ok(ALLOWED_ELEMENTS.has(name), `unexpected <${name}> element`);
+  }
+
+  assert.doesNotMatch(markup, /\son\w+\s*=\s*["']/, 'event handler attribute');
+  assert.doesNotMatch(markup, /javascript:/i, 'javascript: URL');
+  assert.doesNotMatch(markup, /data:(?:text|image\/svg)/i, 'non-raster data URL');
+  assert.doesNotMatch(markup, /\]\]>/, 'CDATA terminator');
+  assert.doesNotMatch(markup, /[\u0000-\u0008\u000b\u000c\u000e-\u001f]/, 'control character');
+}
+
+const contributors = Array.from({ length: 5 }, (_, index) => hostileContributor(index));
+
+for (const style of BADGE_STYLES) {
+  for (const labels of ['login', 'name', 'none']) {
+    test(`${style} badges with labels=${labels} escape contributor data`, () => {
+      const { layout } = resolveLayout({ labels, truncate: 'none' });
+      const markup = String(generateSVGBadge(contributors, style, resolveTheme().theme, layout, {
+        title: HOSTILE,
+        subtitle: HOSTILE,
+        showContributions: true,
+        more: { count: 3, url: 'javascript:alert(1)' }
+      }));
+
+      assertInert(markup);
+      assert.match(markup, /&lt;script&gt;alert\(1\)&lt;\/script&gt;\]\]&gt;/);
+    });
+  }
+}
+
+test('anonymous contributors and missing counts render inertly', () => {
+  const anonymous = { ...hostileContributor(0), login: null, anonymous: true, html_url: null, contributions: null };
+
+  for (const style of BADGE_STYLES) {
+    assertInert(String(generateSVGBadge([anonymous], style)));
+  }
+});
+
+test('raster avatars are embedded, other images fall back to initials', () => {
+  const avatar = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+  const markup = String(generateSVGBadge([{ ...hostileContributor(0), avatar_base64: avatar }, hostileContributor(1)]));
+
+  assert.equal(markup.match(/<image /g).length, 1);
+  assert.ok(markup.includes(`href="${avatar}"`));
+  assert.match(markup, /class="avatar-initial">&lt;<\/text>/);
+});
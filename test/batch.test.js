@@ -0,0 +1,106 @@
+// batch.test.js - POST /batch: validation and badge URLs matching the returned lists
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { addRepository, makeContributors, startApp } = require('./helpers');
+
+let app;
+
+test.before(async () => {
+  addRepository('o/r', { contributors: makeContributors(8) });
+  addRepository('o/s', { contributors: makeContributors(3, 'dev', 101) });
+  app = await startApp();
+});
+
+test.after(() => app.close());
+
+// Helper function to post a batch request
+async function batch(body) {
+  const response = await fetch(`${app.url}/batch`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('badge URLs carry every list option of the request', async () => {
+  const { status, body } = await batch({
+    repositories: ['o/r'],
+    limit: 3,
+    theme: 'dark',
+    anon: true,
+    coauthors: 'true',
+    since: '90d',
+    until: '2030-01-01',
+    exclude: ['user1'],
+    exclude_bots: true
+  });
+
+  assert.equal(status, 200);
+  const [entry] = body.successful_repositories;
+  const params = Object.fromEntries(new URL(entry.badge_url, app.url).searchParams);
+  assert.deepEqual(params, {
+    repo: 'o/r',
+    limit: '3',
+    theme: 'dark',
+    anon: 'true',
+    coauthors: 'true',
+    exclude_bots: 'true',
+    exclude: 'user1',
+    since: '90d',
+    until: '2030-01-01'
+  });
+});
+
+test('the linked badge lists the same contributors as the JSON', async () => {
+  const { body } = await batch({ repositories: ['o/r', 'o/s'], limit: 4, exclude: 'user0,user2' });
+
+  for (const entry of body.successful_repositories) {
+    const badge = await (await fetch(`${app.url}${entry.badge_url}&avatars=false`)).text();
+    const logins = Array.from(badge.matchAll(/data-username="([^"]+)"/g), match => match[1]);
+
+    assert.deepEqual(logins, entry.contributors.map(contributor => contributor.login), entry.repository);
+  }
+});
+
+test('options are validated like the /badge route', async () => {
+  const { status, body } = await batch({ repositories: ['o/r', 'a/b/c'], limit: 500, style: 'zigzag', since: '..' });
+
+  assert.equal(status, 400);
+  assert.deepEqual(body.errors.map(error => error.field), ['limit', 'style', 'since', 'repositories[1]']);
+});
+
+test('the body is validated against the route schema', async () => {
+  const invalid = [
+    [{}, ['repositories']],
+    [{ repositories: 'o/r' }, []],
+    [{ repositories: ['o/r', 'bad'] }, ['repositories']],
+    [{ repositories: Array(11).fill('o/r') }, ['repositories']],
+    [{ repositories: [{ repo: 'o/r' }] }, ['repositories']],
+    [{ repositories: ['o/r'], exclude_bots: 'yes', exclude: [['user1']] }, ['exclude_bots', 'exclude']]
+  ];
+
+  for (const [request, fields] of invalid) {
+    const { status, body } = await batch(request);
+
+    assert.equal(status, fields.length ? 400 : 200, JSON.stringify(request));
+    assert.deepEqual((body.errors || []).map(error => error.field), fields, JSON.stringify(request));
+  }
+
+  const { body } = await batch([]);
+  assert.deepEqual(body.errors, [{ field: 'body', message: 'The request body must be a JSON object' }]);
+});
+
+test('list option combinations are checked', async () => {
+  const { status, body } = await batch({ repositories: ['o/r'], source: 'allcontributors', since: '90d' });
+
+  assert.equal(status, 400);
+  assert.equal(body.errors[0].field, 'merge');
+});
+
+test('failures are reported for the repository that failed', async () => {
+  const { body } = await batch({ repositories: ['o/r', 'o/missing', 'o/s'] });
+
+  assert.deepEqual(body.successful_repositories.map(entry => entry.repository), ['o/r', 'o/s']);
+  assert.deepEqual(body.failed_repositories.map(entry => entry.repository), ['o/missing']);
+});
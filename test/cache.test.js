@@ -0,0 +1,75 @@
+// cache.test.js - Filesystem cache: bounded size, expiry sweeps and concurrent writes
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileCache } = require('../lib/cache');
+
+// Helper function to create a cache in a fresh temporary directory
+function tempCache(options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'badge-cache-test-'));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new FileCache({ dir, sweepInterval: 0, ...options });
+}
+
+// Helper function to list the files of a cache directory
+function files(cache) {
+  return fs.readdirSync(cache.dir).sort();
+}
+
+test('the least recently used entries are evicted beyond maxEntries', async () => {
+  const cache = tempCache({ maxEntries: 2 });
+
+  await cache.set('a', 1, 60000);
+  await cache.set('b', 2, 60000);
+  assert.equal(await cache.get('a'), 1);
+  await cache.set('c', 3, 60000);
+
+  assert.deepEqual((await cache.keys()).sort(), ['a', 'c']);
+  assert.equal(await cache.get('b'), null);
+  assert.equal(files(cache).length, 2);
+});
+
+test('entries are bounded by their size on disk', async () => {
+  const cache = tempCache({ maxBytes: 300 });
+
+  for (const key of ['a', 'b', 'c']) {
+    await cache.set(key, 'x'.repeat(100), 60000);
+  }
+
+  assert.deepEqual(await cache.keys(), ['b', 'c']);
+  await cache.set('huge', 'x'.repeat(1000), 60000);
+  assert.equal(await cache.get('huge'), null);
+});
+
+test('expired entries are swept along with their files', async () => {
+  const cache = tempCache();
+
+  await cache.set('old', 1, 1);
+  await cache.set('new', 2, 60000);
+  await new Promise(resolve => setTimeout(resolve, 5));
+
+  assert.equal(await cache.size(), 1);
+  assert.deepEqual(await cache.keys(), ['new']);
+  assert.equal(files(cache).length, 1);
+});
+
+test('entries written by an earlier run are indexed', async () => {
+  const first = tempCache();
+  await first.set('kept', { value: 1 }, 60000);
+
+  const second = new FileCache({ dir: first.dir, sweepInterval: 0 });
+  assert.deepEqual(await second.keys(), ['kept']);
+  assert.deepEqual(await second.get('kept'), { value: 1 });
+});
+
+test('concurrent writes of the same key use their own temp files', async () => {
+  const cache = tempCache();
+
+  await Promise.all(Array.from({ length: 20 }, (_, index) => cache.set('same', index, 60000)));
+
+  assert.equal(typeof await cache.get('same'), 'number');
+  assert.deepEqual(files(cache).filter(name => name.endsWith('.tmp')), []);
+  assert.equal(await cache.size(), 1);
+});
@@ -0,0 +1,20 @@
+// credentials.test.js - Credential pool: failed GitHub App token refreshes surface as API errors
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GitHubError } = require('../lib/github');
+const { AppInstallationCredential, CredentialPool } = require('../lib/credentials');
+
+test('a failed installation token refresh rejects with a GitHubError', async () => {
+  const credential = new AppInstallationCredential({ appId: '1', privateKey: 'key', installationId: '2', apiBase: 'https://api.github.com' });
+  credential.refreshToken = async () => {
+    throw Object.assign(new Error('Request failed with status code 401'), { response: { status: 401 } });
+  };
+  const pool = new CredentialPool([credential]);
+
+  await assert.rejects(pool.acquire(), error => {
+    assert.ok(error instanceof GitHubError);
+    assert.equal(error.statusCode, 502);
+    assert.equal(error.status, 401);
+    return true;
+  });
+});
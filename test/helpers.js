@@ -0,0 +1,125 @@
+// helpers.js - Shared test setup: a fake GitHub API behind axios and the app on a random port.
+// Require this before server.js, the stub has to be in place when the app loads its clients.
+const axios = require('axios');
+
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==', 'base64');
+
+// Repositories served by the fake API: { 'owner/repo': { contributors, config, private, commits } }
+const repositories = new Map();
+// Every URL the app requested, for tests that check what was (not) fetched
+const requests = [];
+
+// Helper function to make `count` contributors named `${prefix}0`, `${prefix}1`... with ids from `firstId`
+function makeContributors(count, prefix = 'user', firstId = 1) {
+  return Array.from({ length: count }, (_, index) => ({
+    login: `${prefix}${index}`,
+    id: firstId + index,
+    type: 'User',
+    avatar_url: `https://avatars.githubusercontent.com/u/${firstId + index}?v=4`,
+    html_url: `https://github.com/${prefix}${index}`,
+    contributions: count * 10 - index
+  }));
+}
+
+// Helper function to add a repository to the fake API. `commits` are { login, date } pairs, newest first.
+function addRepository(name, { contributors = makeContributors(5), config = null, isPrivate = false, commits = [] } = {}) {
+  repositories.set(name.toLowerCase(), { name, contributors, config, private: isPrivate, commits });
+}
+
+// Helper function to build a commit of the commits API
+function commit({ login, date }, index) {
+  return {
+    sha: `sha${index}`,
+    author: { login, id: index + 1, type: 'User', avatar_url: `https://avatars.githubusercontent.com/u/${index + 1}?v=4`, html_url: `https://github.com/${login}` },
+    commit: { author: { name: login, email: `${login}@example.com`, date }, committer: { date }, message: 'Change' }
+  };
+}
+
+// Helper function to build a response, or throw like axios does for error statuses
+function respond(status, data, config = {}, headers = {}) {
+  const response = { status, data, headers };
+  const validateStatus = config.validateStatus || (code => code >= 200 && code < 300);
+
+  if (!validateStatus(status)) {
+    throw Object.assign(new Error(`Request failed with status code ${status}`), { response, isAxiosError: true });
+  }
+  return response;
+}
+
+// The fake GitHub API: repositories, their contributors, .all-contributorsrc files and avatars
+async function fakeGet(url, config = {}) {
+  requests.push(url);
+  const { hostname, pathname } = new URL(url);
+
+  if (hostname === 'avatars.githubusercontent.com') {
+    return respond(200, PNG, config, { 'content-type': 'image/png' });
+  }
+
+  const match = pathname.match(/^\/repos\/([^/]+\/[^/]+)(\/.*)?$/);
+  const repository = match && repositories.get(decodeURIComponent(match[1]).toLowerCase());
+  if (hostname !== 'api.github.com' || !repository) {
+    return respond(404, { message: 'Not Found' }, config);
+  }
+
+  const rest = match[2] || '';
+  const params = config.params || {};
+
+  if (rest === '') {
+    return respond(200, {
+      name: repository.name.split('/')[1],
+      full_name: repository.name,
+      private: repository.private,
+      default_branch: 'main',
+      html_url: `https://github.com/${repository.name}`
+    }, config);
+  }
+
+  if (rest === '/contributors') {
+    const perPage = Number(params.per_page) || 30;
+    const page = Number(params.page) || 1;
+    return respond(200, repository.contributors.slice((page - 1) * perPage, page * perPage), config);
+  }
+
+  // Commit history, filtered by the since/until window like GitHub does
+  if (rest === '/commits') {
+    const perPage = Number(params.per_page) || 30;
+    const page = Number(params.page) || 1;
+    const commits = repository.commits
+      .map(commit)
+      .filter(({ commit: { committer } }) => (!params.since || committer.date >= params.since) && (!params.until || committer.date <= params.until));
+    return respond(200, commits.slice((page - 1) * perPage, page * perPage), config);
+  }
+
+  if (rest === '/contents/.all-contributorsrc' && repository.config) {
+    const content = Buffer.from(JSON.stringify(repository.config)).toString('base64');
+    return respond(200, { encoding: 'base64', content }, config);
+  }
+
+  return respond(404, { message: 'Not Found' }, config);
+}
+
+axios.get = fakeGet;
+
+// Helper function to start the app on a random port. Returns { url, close }.
+async function startApp() {
+  const app = require('../server');
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+module.exports = {
+  repositories,
+  requests,
+  makeContributors,
+  addRepository,
+  startApp
+};
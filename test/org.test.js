@@ -0,0 +1,76 @@
+// org.test.js - Merging contributors of several repositories (/stats/org and /badge/org)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { addRepository, makeContributors, startApp } = require('./helpers');
+
+let app;
+
+// Helper function to build an .all-contributorsrc listing `login` with the given types
+function config(login, contributions) {
+  return {
+    projectName: 'project',
+    projectOwner: 'o',
+    contributors: [{ login, name: login, avatar_url: `https://avatars.githubusercontent.com/u/${login}`, profile: `https://github.com/${login}`, contributions }]
+  };
+}
+
+test.before(async () => {
+  const shared = makeContributors(3);
+
+  // shared[0] is listed in the file of o/a only, o/b knows them from the API alone (no types)
+  addRepository('o/a', { contributors: shared, config: config('user0', ['doc', 'design']) });
+  addRepository('o/b', { contributors: shared, config: config('writer', ['doc']) });
+  addRepository('o/c', { contributors: makeContributors(2, 'other', 1001) });
+  app = await startApp();
+});
+
+test.after(() => app.close());
+
+test('contributors are summed up across repositories', async () => {
+  const response = await fetch(`${app.url}/stats/org?repos=o/a,o/c`);
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(body.repositories, ['o/a', 'o/c']);
+  assert.equal(body.total_contributors, 5);
+  assert.equal(body.total_contributions, 30 + 29 + 28 + 20 + 19);
+});
+
+test('the same contributor in several repositories is merged', async () => {
+  const response = await fetch(`${app.url}/stats/org?repos=o/a,o/b`);
+  const body = await response.json();
+  const user0 = body.top_contributors.find(contributor => contributor.username === 'user0');
+
+  assert.equal(body.total_contributors, 3);
+  assert.equal(user0.contributions, 60);
+  assert.equal(user0.repositories, 2);
+});
+
+test('merging listed types works in either repository order', async () => {
+  for (const repos of ['o/a,o/b', 'o/b,o/a']) {
+    const response = await fetch(`${app.url}/stats/org?repos=${repos}&source=allcontributors&merge=true`);
+    const body = await response.json();
+
+    assert.equal(response.status, 200, repos);
+    const user0 = body.top_contributors.find(contributor => contributor.username === 'user0');
+    assert.deepEqual(user0.types, { doc: 1, design: 1 }, repos);
+    assert.equal(user0.repositories, 2, repos);
+  }
+});
+
+test('org badges draw each merged contributor once', async () => {
+  const response = await fetch(`${app.url}/badge/org?repos=o/a,o/b,o/c&avatars=false&limit=all`);
+  const body = await response.text();
+
+  assert.equal(response.status, 200);
+  assert.equal((body.match(/class="contributor"/g) || []).length, 5);
+});
+
+test('failed repositories are reported next to the merged ones', async () => {
+  const response = await fetch(`${app.url}/stats/org?repos=o/a,o/missing`);
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(body.repositories, ['o/a']);
+  assert.deepEqual(body.failed_repositories.map(failure => failure.repository), ['o/missing']);
+});
@@ -0,0 +1,36 @@
+// providers.test.js - Contributor lists of the non-GitHub providers, against fake API clients
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GitLabProvider } = require('../lib/providers');
+
+// Helper function to fake a GitLab API with the given repository contributors and accounts (by email)
+function gitLabClient(entries, accounts) {
+  return {
+    paginate: async () => entries,
+    get: async (path, { params }) => {
+      if (path === '/users') {
+        return { data: accounts[params.search] ? [accounts[params.search]] : [] };
+      }
+      return { data: { avatar_url: null } };
+    }
+  };
+}
+
+test('GitLab authors without an account are only listed with anon', async () => {
+  const provider = new GitLabProvider({ kind: 'gitlab', url: 'https://gitlab.com', apiBase: 'https://gitlab.com/api/v4', client: {}, resolveLimit: 10 });
+  const entries = [
+    { name: 'Ada', email: 'ada@example.com', commits: 9 },
+    { name: 'Bob', email: 'bob@example.com', commits: 5 },
+    ...Array.from({ length: 12 }, (_, index) => ({ name: `Late ${index}`, email: `late${index}@example.com`, commits: 2 }))
+  ];
+  const accounts = { 'ada@example.com': { id: 1, username: 'ada', name: 'Ada', avatar_url: null, web_url: 'https://gitlab.com/ada' } };
+  const client = gitLabClient(entries, accounts);
+
+  const { contributors } = await provider.listContributors(client, 'group/project');
+  assert.deepEqual(contributors.map(contributor => contributor.login), ['ada']);
+
+  const { contributors: all } = await provider.listContributors(client, 'group/project', { anon: true });
+  assert.equal(all.length, 14);
+  assert.deepEqual(all.slice(0, 2).map(contributor => contributor.login || contributor.name), ['ada', 'Bob']);
+  assert.equal(all[1].type, 'Anonymous');
+});
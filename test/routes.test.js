@@ -0,0 +1,120 @@
+// routes.test.js - Query validation of the badge and stats routes, against the fake GitHub API
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { addRepository, makeContributors, requests, startApp } = require('./helpers');
+
+let app;
+
+test.before(async () => {
+  addRepository('o/r', { contributors: makeContributors(350) });
+  addRepository('o/w', {
+    commits: [
+      { login: 'later', date: '2024-02-01T00:00:01Z' },
+      { login: 'evening', date: '2024-01-31T18:00:00Z' },
+      { login: 'morning', date: '2024-01-31T08:00:00Z' },
+      { login: 'earlier', date: '2024-01-30T12:00:00Z' }
+    ]
+  });
+  app = await startApp();
+});
+
+test.after(() => app.close());
+
+// Helper function to count the contributors drawn in an SVG badge
+function contributorCount(body) {
+  return (body.match(/class="contributor"/g) || []).length;
+}
+
+test('badges default to 10 contributors as SVG', async () => {
+  const response = await fetch(`${app.url}/badge?repo=o/r&avatars=false`);
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'image/svg+xml; charset=utf-8');
+  assert.equal(contributorCount(await response.text()), 10);
+});
+
+test('empty parameters fall back to their defaults', async () => {
+  for (const path of ['/badge', '/badge/fast', '/badge/custom']) {
+    const response = await fetch(`${app.url}${path}?repo=o/r&avatars=false&limit=&format=&scale=&style=&size=&theme=`);
+
+    assert.equal(response.status, 200, path);
+    assert.equal(response.headers.get('content-type'), 'image/svg+xml; charset=utf-8', path);
+    assert.equal(contributorCount(await response.text()), 10, path);
+  }
+
+  const org = await fetch(`${app.url}/badge/org?repos=o/r&avatars=false&limit=&format=`);
+  assert.equal(org.status, 200);
+  assert.equal(contributorCount(await org.text()), 10);
+});
+
+test('an empty scale renders rasters at the default scale', async () => {
+  const response = await fetch(`${app.url}/badge?repo=o/r&avatars=false&limit=2&format=png&scale=`);
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'image/png');
+});
+
+test('an empty required parameter is reported as missing', async () => {
+  const response = await fetch(`${app.url}/badge?repo=`);
+
+  assert.equal(response.status, 400);
+  assert.deepEqual((await response.json()).errors, [{ field: 'repo', message: 'repo is required' }]);
+});
+
+test('invalid parameters are rejected with one error per field', async () => {
+  const response = await fetch(`${app.url}/badge?repo=o/r&limit=101&style=zigzag&format=gif&scale=9&since=..`);
+  const body = await response.json();
+
+  assert.equal(response.status, 400);
+  assert.equal(body.error, 'Invalid request parameters');
+  assert.deepEqual(body.errors.map(error => error.field), ['limit', 'style', 'since', 'format', 'scale']);
+});
+
+test('repeated and nested parameters are rejected', async () => {
+  for (const query of ['repo=o/r&repo=o/s', 'repo[a]=o/r', 'repo=o/r&limit=1&limit=2']) {
+    const response = await fetch(`${app.url}/badge?${query}`);
+
+    assert.equal(response.status, 400, query);
+    assert.match((await response.json()).errors[0].message, /must be given once/);
+  }
+});
+
+test('malformed repository names are rejected before any API call', async () => {
+  requests.length = 0;
+  const response = await fetch(`${app.url}/stats?repo=o/r/../x`);
+
+  assert.equal(response.status, 400);
+  assert.deepEqual(requests, []);
+  assert.equal((await response.json()).errors[0].field, 'repo');
+});
+
+test('SVG badges are sent with a restrictive Content-Security-Policy', async () => {
+  const svg = await fetch(`${app.url}/badge?repo=o/r&avatars=false&limit=1`);
+
+  assert.equal(svg.headers.get('content-security-policy'), "default-src 'none'; img-src data:; style-src 'unsafe-inline'");
+  assert.equal(svg.headers.get('x-content-type-options'), 'nosniff');
+
+  const png = await fetch(`${app.url}/badge?repo=o/r&avatars=false&limit=1&format=png`);
+  assert.equal(png.headers.get('content-security-policy'), null);
+});
+
+test('pages past the last one are empty badges', async () => {
+  const response = await fetch(`${app.url}/badge/all?repo=o/r&avatars=false&per_page=100&page=9`);
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'image/svg+xml; charset=utf-8');
+  assert.equal(response.headers.get('x-total-count'), '350');
+  assert.equal(contributorCount(await response.text()), 0);
+
+  const last = await fetch(`${app.url}/badge/all?repo=o/r&avatars=false&per_page=100&page=4`);
+  assert.equal(contributorCount(await last.text()), 50);
+});
+
+test('a date-only until includes the whole day', async () => {
+  const response = await fetch(`${app.url}/stats?repo=o/w&since=2024-01-31&until=2024-01-31`);
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(body.top_contributors.map(contributor => contributor.username).sort(), ['evening', 'morning']);
+  assert.equal(body.window.until, '2024-01-31T23:59:59.999Z');
+});
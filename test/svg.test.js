@@ -0,0 +1,82 @@
+// svg.test.js - Escaping of hostile values by the svg`` tag and the URL checks of lib/svg.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { svg, escapeXml, safeUrl, safeImageData } = require('../lib/svg');
+
+const PNG_DATA_URL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+
+test('svg escapes markup in interpolated text', () => {
+  const markup = String(svg`<text>${'<script>alert(1)</script>'}</text>`);
+
+  assert.equal(markup, '<text>&lt;script&gt;alert(1)&lt;/script&gt;</text>');
+});
+
+test('svg escapes quotes so values can\'t leave an attribute', () => {
+  const markup = String(svg`<g data-username="${'x" onload="alert(1)'}" class='${"y' onclick='alert(1)"}'/>`);
+
+  assert.doesNotMatch(markup, /\son\w+=["']/);
+  assert.match(markup, /data-username="x&quot; onload=&quot;alert\(1\)"/);
+  assert.match(markup, /class='y&apos; onclick=&apos;alert\(1\)'/);
+});
+
+test('svg escapes CDATA terminators and entities', () => {
+  const markup = String(svg`<style>${']]><script>alert(1)</script>'}</style><text>${'&amp; &#x3C;'}</text>`);
+
+  assert.doesNotMatch(markup, /\]\]>/);
+  assert.doesNotMatch(markup, /<script/);
+  assert.match(markup, /&amp;amp; &amp;#x3C;/);
+});
+
+test('svg drops characters XML does not allow', () => {
+  const markup = String(svg`<text>${'a\u0000b\u0007c\u001bd\ufffee\ud800f'}</text>`);
+
+  assert.equal(markup, '<text>abcdef</text>');
+  assert.equal(escapeXml('tab\tnew\nline'), 'tab\tnew\nline');
+  assert.equal(escapeXml('😀'), '😀');
+});
+
+test('svg keeps nested markup and joins lists without escaping them twice', () => {
+  const inner = svg`<tspan>${'<b>'}</tspan>`;
+  const markup = String(svg`<text>${inner}${[inner, '<i>']}${null}${undefined}${false}${0}</text>`);
+
+  assert.equal(markup, '<text><tspan>&lt;b&gt;</tspan><tspan>&lt;b&gt;</tspan>&lt;i&gt;0</text>');
+});
+
+test('safeUrl accepts http(s) links only', () => {
+  assert.equal(safeUrl('https://github.com/octocat'), 'https://github.com/octocat');
+  assert.equal(safeUrl('http://example.com/a b'), 'http://example.com/a%20b');
+
+  for (const url of [
+    'javascript:alert(1)',
+    'JavaScript:alert(1)',
+    ' javascript:alert(1)',
+    'java\tscript:alert(1)',
+    'data:text/html,<script>alert(1)</script>',
+    'vbscript:msgbox(1)',
+    'file:///etc/passwd',
+    '/relative/path',
+    '',
+    null,
+    undefined
+  ]) {
+    assert.equal(safeUrl(url), null, `${url} should be rejected`);
+  }
+});
+
+test('safeImageData accepts base64 raster data URLs only', () => {
+  assert.equal(safeImageData(PNG_DATA_URL), PNG_DATA_URL);
+
+  for (const value of [
+    'data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9ImFsZXJ0KDEpIi8+',
+    'data:image/svg+xml,<svg onload="alert(1)"/>',
+    'data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==',
+    'data:image/png,not-base64',
+    `${PNG_DATA_URL}" onload="alert(1)`,
+    'javascript:alert(1)',
+    'https://avatars.githubusercontent.com/u/1',
+    null,
+    { toString: () => PNG_DATA_URL }
+  ]) {
+    assert.equal(safeImageData(value), null, `${value} should be rejected`);
+  }
+});
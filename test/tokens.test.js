@@ -0,0 +1,116 @@
+// tokens.test.js - POST /tokens and the signed URLs it creates: validation, signatures and expiry
+process.env.BADGE_SIGNING_SECRET = 'test-signing-secret';
+process.env.TOKENS_API_KEY = 'test-api-key';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { addRepository, makeContributors, startApp } = require('./helpers');
+const { signParams } = require('../lib/signing');
+
+let app;
+
+test.before(async () => {
+  addRepository('o/r', { contributors: makeContributors(8) });
+  addRepository('o/private', { contributors: makeContributors(3), isPrivate: true });
+  app = await startApp();
+});
+
+test.after(() => app.close());
+
+// Helper function to request a signed URL
+async function createToken(body, key = 'test-api-key') {
+  const response = await fetch(`${app.url}/tokens`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${key}` },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('requests without the API key are refused', async () => {
+  const { status } = await createToken({ repo: 'o/r' }, 'wrong');
+
+  assert.equal(status, 401);
+});
+
+test('signed URLs carry the validated parameters', async () => {
+  const { status, body } = await createToken({ repo: 'o/r', endpoint: '/badge/fast', params: { limit: 3, exclude: ['user1', 'user2'], exclude_bots: true } });
+
+  assert.equal(status, 201);
+  const url = new URL(body.url);
+  assert.equal(url.pathname, '/badge/fast');
+  assert.equal(url.searchParams.get('limit'), '3');
+  assert.equal(url.searchParams.get('exclude'), 'user1,user2');
+  assert.equal(url.searchParams.get('exclude_bots'), 'true');
+});
+
+test('the body is validated against the route schema', async () => {
+  const { status, body } = await createToken({ repo: 'bad', endpoint: '/nope', expires_in: 10, github_token: 'a b' });
+
+  assert.equal(status, 400);
+  assert.deepEqual(body.errors.map(error => error.field), ['repo', 'endpoint', 'expires_in', 'github_token']);
+});
+
+test('params are validated against the schema of the signed route', async () => {
+  const { status, body } = await createToken({ repo: 'o/r', endpoint: '/stats', params: { limit: 5, style: 'grid', since: '90d' } });
+  assert.equal(status, 201, 'parameters of other routes are dropped');
+  assert.equal(new URL(body.url).searchParams.get('style'), null);
+
+  const invalid = await createToken({ repo: 'o/r', params: { limit: 500, shape: 'blob', exclude: { a: 1 } } });
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(invalid.body.errors.map(error => error.field), ['params.limit', 'params.shape', 'params.exclude']);
+  assert.match(invalid.body.errors[0].message, /^params\.limit must be/);
+
+  const reserved = await createToken({ repo: 'o/r', params: { sig: 'x' } });
+  assert.equal(reserved.status, 400);
+  assert.equal(reserved.body.errors[0].field, 'params.sig');
+});
+
+test('the OpenAPI document describes the POST routes', async () => {
+  const { paths, components } = await (await fetch(`${app.url}/openapi.json`)).json();
+
+  assert.deepEqual(paths['/tokens'].post.requestBody.content['application/json'].schema.required, ['repo']);
+  assert.ok(paths['/tokens'].post.responses[201]);
+  assert.ok(paths['/batch'].post.requestBody.content['application/json'].schema.properties.repositories);
+  assert.deepEqual(paths['/webhook/invalidate'].post.security, [{ apiKey: [] }]);
+  assert.equal(components.securitySchemes.apiKey.scheme, 'bearer');
+});
+
+test('signed URLs are served and checked against their signature', async () => {
+  const { body } = await createToken({ repo: 'o/private', endpoint: '/stats', params: { exclude: 'user1' } });
+  const url = new URL(body.url);
+
+  const signed = await fetch(`${app.url}${url.pathname}${url.search}`);
+  assert.equal(signed.status, 200);
+  assert.deepEqual((await signed.json()).top_contributors.map(contributor => contributor.username), ['user0', 'user2']);
+
+  for (const [name, value] of [['repo', 'o/r'], ['exclude', 'user2'], ['sig', 'x'.repeat(43)]]) {
+    const tampered = new URL(url);
+    tampered.searchParams.set(name, value);
+    const response = await fetch(`${app.url}${tampered.pathname}${tampered.search}`);
+
+    assert.equal(response.status, 403, name);
+    assert.equal((await response.json()).error, 'Invalid signature', name);
+  }
+
+  const added = await fetch(`${app.url}${url.pathname}${url.search}&exclude_bots=true`);
+  assert.equal(added.status, 403);
+});
+
+test('expired and repeated signed URL parameters are refused', async () => {
+  const expired = signParams('/stats', { repo: 'o/private', expires: Math.floor(Date.now() / 1000) - 10 }, 'test-signing-secret');
+  const response = await fetch(`${app.url}/stats?${new URLSearchParams(expired)}`);
+
+  assert.equal(response.status, 403);
+  assert.equal((await response.json()).error, 'Signed URL has expired');
+
+  const { body } = await createToken({ repo: 'o/private', endpoint: '/stats' });
+  const repeated = await fetch(`${body.url.replace(/^https?:\/\/[^/]+/, app.url)}&repo=o/r`);
+  assert.equal(repeated.status, 400);
+});
+
+test('private repositories need a signed URL', async () => {
+  const response = await fetch(`${app.url}/repo-info?repo=o/private`);
+
+  assert.equal(response.status, 404);
+});